@@ -0,0 +1,81 @@
+// Audit trail for operator (admin) actions: who did what to which lobby, and when.
+// server.js decides what gets recorded; the log only keeps the newest entries.
+//
+// Interface:
+//   record(entry)     -> add an entry (stamped with `at` if it has none)
+//   list(limit)       -> newest entries first (at most `limit`)
+//   flush()           -> synchronously write anything pending (shutdown)
+//
+// Entry: { at, action, ip, lobbyCode, ok, details }
+const { createJsonFileWriter, readJsonFile } = require('./jsonFileWriter');
+const { logger } = require('./logger');
+
+// Entries older than the newest this many are dropped
+const DEFAULT_MAX_ENTRIES = 1000;
+
+function createEntries({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = [];
+
+  return {
+    entries,
+    record(entry) {
+      entries.push({ at: Date.now(), ...entry });
+      if (entries.length > maxEntries) entries.splice(0, entries.length - maxEntries);
+    },
+    list: (limit = entries.length) => entries.slice(-limit).reverse(),
+  };
+}
+
+// Entries live only in memory (lost on restart)
+function createMemoryAuditLog(options) {
+  const { entries, ...api } = createEntries(options);
+  return {
+    type: 'memory',
+    ...api,
+    flush: () => {},
+  };
+}
+
+// Keeps the entries in one JSON file (debounced, atomic writes)
+function createFileAuditLog(filePath, { writeDelayMs = 1000, ...options } = {}) {
+  const { entries, ...api } = createEntries(options);
+
+  const data = readJsonFile(filePath, { label: 'Audit log' });
+  (Array.isArray(data?.entries) ? data.entries : [])
+    .filter(entry => entry?.action)
+    .forEach(entry => api.record(entry));
+
+  const writer = createJsonFileWriter(filePath, () => JSON.stringify({
+    version: 1,
+    savedAt: Date.now(),
+    entries,
+  }), { writeDelayMs, label: 'Audit log' });
+
+  return {
+    type: 'file',
+    filePath,
+    ...api,
+    record(entry) {
+      api.record(entry);
+      writer.schedule();
+    },
+    flush() {
+      writer.flush();
+    },
+  };
+}
+
+// Pick a log from env: ADMIN_AUDIT_STORE=file (default) | memory, ADMIN_AUDIT_PATH=<file>
+function createAuditLog({ type, filePath } = {}) {
+  if (type === 'memory') return createMemoryAuditLog();
+  if (type && type !== 'file') {
+    logger.warn('Unknown ADMIN_AUDIT_STORE, falling back to file store', { type });
+  }
+  return createFileAuditLog(filePath);
+}
+
+module.exports = {
+  createAuditLog,
+  createMemoryAuditLog,
+  createFileAuditLog,
+};
@@ -0,0 +1,279 @@
+// Chip betting for staged rounds: a no-limit Hold'em betting state machine.
+// The state is a plain object (stored as lobby.betting, so it snapshots with the
+// lobby); these functions mutate it in place and never touch sockets or timers.
+//
+// A hand: everyone with chips antes, then each street (flop, turn, river) gets a
+// betting round. Players act in seat order: check, bet, call, raise or fold.
+// Amounts for bet/raise are "to" amounts: the player's total bet on this street.
+// At showdown the pot (and any side pots from all-ins) goes to the best word.
+//
+// Seat fields:
+//   id, stack       chips behind
+//   streetBet       chips put in on the current street
+//   committed       chips put in this hand (antes included); drives side pots
+//   folded, allIn
+
+// Deal everyone with chips into a hand and collect antes.
+// players: [{ id, stack }] in action order (first to act first).
+function startHand({ players, ante = 0, minBet = 1 }) {
+  const seats = players
+    .filter(p => p.stack > 0)
+    .map(p => ({ id: p.id, stack: p.stack, streetBet: 0, committed: 0, folded: false, allIn: false }));
+
+  seats.forEach(seat => {
+    const paid = Math.min(ante, seat.stack);
+    seat.stack -= paid;
+    seat.committed += paid;
+    seat.allIn = seat.stack === 0;
+  });
+
+  const state = {
+    seats,
+    minBet: Math.max(1, minBet),
+    street: null,
+    currentBet: 0,
+    minRaise: 0,
+    pending: [],
+    toAct: null,
+    streetClosed: true,
+    contested: false,
+  };
+  return state;
+}
+
+function getSeat(state, id) {
+  return state.seats.find(seat => seat.id === id) || null;
+}
+
+function livePlayers(state) {
+  return state.seats.filter(seat => !seat.folded);
+}
+
+// Players who can still put chips in
+function actingPlayers(state) {
+  return state.seats.filter(seat => !seat.folded && !seat.allIn);
+}
+
+function getPot(state) {
+  return state.seats.reduce((sum, seat) => sum + seat.committed, 0);
+}
+
+// True once one player is left: the rest of the hand needs no betting
+function isHandDecided(state) {
+  return livePlayers(state).length <= 1;
+}
+
+// Open betting on a street. Closes straight away when nobody can bet against anyone.
+function startStreet(state, street) {
+  state.street = street;
+  state.currentBet = 0;
+  state.minRaise = state.minBet;
+  state.seats.forEach(seat => { seat.streetBet = 0; });
+
+  const acting = actingPlayers(state);
+  state.pending = !isHandDecided(state) && acting.length >= 2 ? acting.map(seat => seat.id) : [];
+  state.toAct = state.pending[0] || null;
+  state.streetClosed = state.pending.length === 0;
+  state.contested = !state.streetClosed; // false when the street needs no betting at all
+  return state;
+}
+
+// What `id` may do right now (null when it isn't their turn)
+function legalActions(state, id) {
+  if (state.streetClosed || state.toAct !== id) return null;
+  const seat = getSeat(state, id);
+  const toCall = Math.min(state.currentBet - seat.streetBet, seat.stack);
+  const maxTo = seat.streetBet + seat.stack;
+  const minTo = state.currentBet === 0 ? state.minBet : state.currentBet + state.minRaise;
+  return {
+    canCheck: toCall === 0,
+    toCall,
+    canBet: state.currentBet === 0 && seat.stack > 0,
+    canRaise: state.currentBet > 0 && maxTo > state.currentBet,
+    minTo: Math.min(minTo, maxTo), // short stacks can always go all-in
+    maxTo,
+  };
+}
+
+function putIn(seat, amount) {
+  const paid = Math.min(amount, seat.stack);
+  seat.stack -= paid;
+  seat.streetBet += paid;
+  seat.committed += paid;
+  if (seat.stack === 0) seat.allIn = true;
+  return paid;
+}
+
+// Move the turn to the next pending player after `id`, in seat order
+function advanceTurn(state, id) {
+  state.pending = state.pending.filter(pendingId => pendingId !== id);
+  if (isHandDecided(state)) state.pending = [];
+
+  if (state.pending.length === 0) {
+    state.toAct = null;
+    state.streetClosed = true;
+    return;
+  }
+
+  const order = state.seats.map(seat => seat.id);
+  const from = order.indexOf(id);
+  for (let step = 1; step <= order.length; step++) {
+    const nextId = order[(from + step) % order.length];
+    if (state.pending.includes(nextId)) {
+      state.toAct = nextId;
+      return;
+    }
+  }
+}
+
+// A bet or raise re-opens the action for everyone else still able to act
+function reopenAction(state, id) {
+  state.pending = actingPlayers(state).map(seat => seat.id).filter(otherId => otherId !== id);
+  state.pending.push(id); // removed again by advanceTurn
+}
+
+// Apply a player's action. Returns { ok: true } or { ok: false, error }.
+function applyAction(state, id, { action, amount } = {}) {
+  const legal = legalActions(state, id);
+  if (!legal) return { ok: false, error: 'not_your_turn' };
+  const seat = getSeat(state, id);
+
+  switch (action) {
+    case 'fold':
+      seat.folded = true;
+      break;
+
+    case 'check':
+      if (!legal.canCheck) return { ok: false, error: 'cannot_check' };
+      break;
+
+    case 'call':
+      if (legal.toCall === 0) return { ok: false, error: 'nothing_to_call' };
+      putIn(seat, legal.toCall);
+      break;
+
+    case 'bet':
+    case 'raise': {
+      if (action === 'bet' ? !legal.canBet : !legal.canRaise) return { ok: false, error: `cannot_${action}` };
+      if (!Number.isInteger(amount) || amount < legal.minTo || amount > legal.maxTo) return { ok: false, error: 'bad_amount' };
+
+      const previousBet = state.currentBet;
+      putIn(seat, amount - seat.streetBet);
+      state.currentBet = Math.max(state.currentBet, seat.streetBet);
+      // An all-in short of a full raise doesn't raise the minimum for the next raise
+      state.minRaise = Math.max(state.minRaise, state.currentBet - previousBet);
+      reopenAction(state, id);
+      break;
+    }
+
+    default:
+      return { ok: false, error: 'unknown_action' };
+  }
+
+  advanceTurn(state, id);
+  return { ok: true };
+}
+
+// What to do for a player who ran out of time: check if free, otherwise fold
+function timeoutAction(state, id) {
+  const legal = legalActions(state, id);
+  if (!legal) return null;
+  return { action: legal.canCheck ? 'check' : 'fold' };
+}
+
+// A player left the table mid-hand
+function removePlayer(state, id) {
+  const seat = getSeat(state, id);
+  if (!seat || seat.folded) return;
+  seat.folded = true;
+  if (state.pending.includes(id)) {
+    advanceTurn(state, id);
+  }
+}
+
+// Split what was committed into a main pot and side pots.
+// Each pot lists who can win it: players who didn't fold and put in at least its level.
+function buildPots(state) {
+  const levels = [...new Set(state.seats.map(seat => seat.committed).filter(amount => amount > 0))]
+    .sort((a, b) => a - b);
+  const pots = [];
+  let previous = 0;
+
+  levels.forEach(level => {
+    const amount = state.seats.reduce((sum, seat) => (
+      sum + Math.max(0, Math.min(seat.committed, level) - previous)
+    ), 0);
+    const eligible = state.seats.filter(seat => !seat.folded && seat.committed >= level).map(seat => seat.id);
+    previous = level;
+
+    if (eligible.length === 0 && pots.length > 0) {
+      // Only folded players reached this level: their chips go to the pot below
+      pots[pots.length - 1].amount += amount;
+    } else if (pots.length > 0 && sameIds(pots[pots.length - 1].eligible, eligible)) {
+      pots[pots.length - 1].amount += amount;
+    } else {
+      pots.push({ amount, eligible });
+    }
+  });
+
+  // A first level nobody live reached (everyone there folded) joins the next pot
+  while (pots.length > 1 && pots[0].eligible.length === 0) {
+    pots[1].amount += pots.shift().amount;
+  }
+  return pots;
+}
+
+function sameIds(a, b) {
+  return a.length === b.length && a.every(id => b.includes(id));
+}
+
+// Award every pot to its eligible player(s) with the highest score (ties split,
+// odd chips to the earliest seat). scores: { id: number }. Pays into stacks and
+// returns [{ amount, eligible, winners, share }].
+function settle(state, scores) {
+  const pots = buildPots(state);
+  const seatOrder = state.seats.map(seat => seat.id);
+
+  pots.forEach(pot => {
+    if (pot.eligible.length === 0) {
+      pot.winners = [];
+      pot.share = 0;
+      return;
+    }
+    const scoreOf = id => (typeof scores[id] === 'number' ? scores[id] : 0);
+    const best = Math.max(...pot.eligible.map(scoreOf));
+    pot.winners = pot.eligible
+      .filter(id => scoreOf(id) === best)
+      .sort((a, b) => seatOrder.indexOf(a) - seatOrder.indexOf(b));
+    pot.share = Math.floor(pot.amount / pot.winners.length);
+
+    let oddChips = pot.amount - pot.share * pot.winners.length;
+    pot.winners.forEach(id => {
+      getSeat(state, id).stack += pot.share + (oddChips-- > 0 ? 1 : 0);
+    });
+  });
+
+  state.seats.forEach(seat => {
+    seat.committed = 0;
+    seat.streetBet = 0;
+  });
+  state.pending = [];
+  state.toAct = null;
+  state.streetClosed = true;
+  return pots;
+}
+
+module.exports = {
+  startHand,
+  startStreet,
+  getSeat,
+  getPot,
+  livePlayers,
+  isHandDecided,
+  legalActions,
+  applyAction,
+  timeoutAction,
+  removePlayer,
+  buildPots,
+  settle,
+};
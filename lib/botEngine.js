@@ -0,0 +1,140 @@
+// Built-in AI players: no LLM, just the best-word search plus a skill profile.
+// The solver lists every word the bot could play; the profile decides which
+// one it actually plays and how long it "thinks" first.
+//
+// Profile fields:
+//   optimalRate    chance of playing the top-scoring word outright
+//   minScoreRatio  otherwise, only consider words scoring at least this share of the best...
+//   maxScoreRatio  ...and at most this share (keeps weak bots from lucking into the best word)
+//   maxLength      prefer words up to this many letters (null = any length)
+//   preferCommon   prefer plain words: ones spelled with low-point (common) letters
+//   poolSize       pick at random among this many of the most-preferred candidates
+//   thinkMin/Max   think time as a fraction of the round timer
+//   aggression     betting: how readily it bets/raises a good hand (0-1)
+//   bluffRate      betting: chance of betting or calling with a weak hand
+const WordSolver = require('../public/wordSolver');
+const Scoring = require('../public/scoring');
+
+const BOT_PROFILES = {
+  easy: {
+    optimalRate: 0.05,
+    minScoreRatio: 0.3,
+    maxScoreRatio: 0.75,
+    maxLength: 5,
+    preferCommon: true,
+    poolSize: 8,
+    thinkMin: 0.35,
+    thinkMax: 0.8,
+    aggression: 0.25,
+    bluffRate: 0.1,
+  },
+  hard: {
+    optimalRate: 0.3,
+    minScoreRatio: 0.7,
+    maxScoreRatio: 1,
+    maxLength: null,
+    preferCommon: false,
+    poolSize: 5,
+    thinkMin: 0.15,
+    thinkMax: 0.5,
+    aggression: 0.6,
+    bluffRate: 0.05,
+  },
+};
+
+function getBotProfile(difficulty) {
+  return BOT_PROFILES[difficulty] || BOT_PROFILES.hard;
+}
+
+// Every distinct playable word with its best-scoring tile choice
+function listCandidates(trie, communityDice, playerDice, modifier, scoringOptions) {
+  const tiles = WordSolver.buildTiles(communityDice, playerDice);
+  const byWord = new Map();
+
+  WordSolver.enumerateWords(trie, tiles, (sequence, word) => {
+    const score = Scoring.computeScore(sequence, modifier, scoringOptions);
+    const existing = byWord.get(word);
+    if (existing && existing.score >= score) return;
+    byWord.set(word, {
+      word,
+      score,
+      tileIds: sequence.map(tile => `${tile.source}-${tile.index}`),
+      // Average tile points: low means everyday letters
+      plainness: sequence.reduce((sum, tile) => sum + tile.points, 0) / sequence.length,
+    });
+  });
+
+  return Array.from(byWord.values());
+}
+
+// Pick the word a bot with this profile plays. Returns { word, score, tileIds } or null.
+function chooseBotWord({ trie, communityDice, playerDice, modifier, scoringOptions, profile, random = Math.random }) {
+  const candidates = listCandidates(trie, communityDice, playerDice, modifier, scoringOptions);
+  if (candidates.length === 0) return null;
+
+  const best = candidates.reduce((top, c) => (
+    WordSolver.isBetterWord(c.word, c.score, top.word, top.score) ? c : top
+  ));
+  if (random() < profile.optimalRate) return best;
+
+  const inScoreRange = c => c.score >= best.score * profile.minScoreRatio && c.score <= best.score * profile.maxScoreRatio;
+  const inLength = c => !profile.maxLength || c.word.length <= profile.maxLength;
+
+  // Loosen the filters until something qualifies
+  let pool = candidates.filter(c => inScoreRange(c) && inLength(c));
+  if (pool.length === 0) pool = candidates.filter(inScoreRange);
+  if (pool.length === 0) pool = candidates.filter(inLength);
+  if (pool.length === 0) pool = candidates;
+
+  pool.sort(profile.preferCommon
+    ? (a, b) => a.plainness - b.plainness || a.word.length - b.word.length || (a.word < b.word ? -1 : 1)
+    : (a, b) => b.score - a.score || b.word.length - a.word.length || (a.word < b.word ? -1 : 1));
+
+  const choices = pool.slice(0, Math.max(1, profile.poolSize));
+  const choice = choices[Math.floor(random() * choices.length)];
+  return { word: choice.word, score: choice.score, tileIds: choice.tileIds };
+}
+
+// Think time in ms for a round of `timerSeconds`, never past `remainingSeconds`
+function botThinkDelayMs(profile, timerSeconds, remainingSeconds, random = Math.random) {
+  const fraction = profile.thinkMin + random() * (profile.thinkMax - profile.thinkMin);
+  const seconds = Math.min(timerSeconds * fraction, remainingSeconds * 0.9);
+  return Math.max(1000, Math.round(seconds * 1000));
+}
+
+// Word score that counts as a strong hand when betting
+const STRONG_WORD_SCORE = 18;
+
+// Betting decision for a hand whose best word so far scores `handScore`.
+// legal: from Betting.legalActions. Returns { action, amount? }.
+function chooseBetAction({ profile, handScore, legal, pot, random = Math.random }) {
+  const strength = Math.min(1.5, handScore / STRONG_WORD_SCORE);
+  const sizeBet = fraction => Math.max(legal.minTo, Math.min(legal.maxTo, Math.round(pot * fraction)));
+  const wantsToBet = (strength >= 0.8 && random() < profile.aggression) || random() < profile.bluffRate;
+
+  if (legal.canCheck) {
+    if (wantsToBet && (legal.canBet || legal.canRaise)) {
+      return { action: legal.canBet ? 'bet' : 'raise', amount: sizeBet(0.4 + strength / 3) };
+    }
+    return { action: 'check' };
+  }
+
+  if (strength >= 1 && legal.canRaise && random() < profile.aggression) {
+    return { action: 'raise', amount: sizeBet(0.6 + strength / 2) };
+  }
+  // Call when the hand is worth the price: weaker bots need less convincing
+  const price = legal.toCall / (pot + legal.toCall);
+  if (strength >= price + (1 - profile.aggression) * 0.25 || random() < profile.bluffRate) {
+    return { action: 'call' };
+  }
+  return { action: 'fold' };
+}
+
+module.exports = {
+  BOT_PROFILES,
+  getBotProfile,
+  listCandidates,
+  chooseBotWord,
+  botThinkDelayMs,
+  chooseBetAction,
+};
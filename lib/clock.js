@@ -0,0 +1,81 @@
+// Time for the game engine (lib/gameEngine.js): every round timer, countdown
+// and grace period goes through a clock, so a game can run on real time or on
+// a manual clock that only moves when told to (scripts and tests).
+//
+// Interface (both clocks):
+//   now()                         -> ms since the epoch (the manual clock starts at `start`)
+//   setTimeout(fn, ms)            -> handle for clearTimeout
+//   clearTimeout(handle)          (null/undefined is ignored)
+//   setInterval(fn, ms)           -> handle for clearInterval
+//   clearInterval(handle)
+//
+// The manual clock adds:
+//   advance(ms)                   -> runs every timer that falls due, in order, with now() at its due time
+//   pending()                     -> how many timers are scheduled
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: handle => clearTimeout(handle),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: handle => clearInterval(handle),
+};
+
+function createManualClock({ start = Date.now() } = {}) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map(); // id -> { at, fn, interval }
+
+  const schedule = (fn, ms, interval) => {
+    const id = nextId++;
+    const delay = Math.max(0, Number(ms) || 0);
+    timers.set(id, { at: now + delay, fn, interval: interval ? Math.max(1, delay) : null, order: id });
+    return id;
+  };
+  const clear = (handle) => {
+    if (handle !== null && handle !== undefined) timers.delete(handle);
+  };
+
+  // The timer due first (ties go to whichever was scheduled first)
+  const nextDue = (until) => {
+    let due = null;
+    timers.forEach((timer, id) => {
+      if (timer.at > until) return;
+      if (!due || timer.at < due.timer.at || (timer.at === due.timer.at && timer.order < due.timer.order)) {
+        due = { id, timer };
+      }
+    });
+    return due;
+  };
+
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => schedule(fn, ms, false),
+    clearTimeout: clear,
+    setInterval: (fn, ms) => schedule(fn, ms, true),
+    clearInterval: clear,
+    pending: () => timers.size,
+
+    advance(ms) {
+      const until = now + Math.max(0, Number(ms) || 0);
+      let due;
+      while ((due = nextDue(until))) {
+        const { id, timer } = due;
+        now = timer.at;
+        if (timer.interval) {
+          timer.at += timer.interval;
+          timer.order = nextId++;
+        } else {
+          timers.delete(id);
+        }
+        timer.fn();
+      }
+      now = until;
+    },
+  };
+}
+
+module.exports = {
+  systemClock,
+  createManualClock,
+};
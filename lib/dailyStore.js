@@ -0,0 +1,96 @@
+// Daily challenge results: one entry per player per day.
+// server.js owns the puzzle and scoring; stores only remember who played what.
+//
+// Interface:
+//   getEntries(date)          -> entries for a day (unsorted)
+//   getEntry(date, playerId)  -> a player's entry for the day, or null
+//   addEntry(date, entry)     -> record an attempt; false if the player already has one
+//   flush()                   -> synchronously write anything pending (shutdown)
+//
+// Entry: { playerId, name, word, score, breakdown, bestPercent, submittedAt }
+const { createJsonFileWriter, readJsonFile } = require('./jsonFileWriter');
+const { logger } = require('./logger');
+
+// Leaderboards older than this are dropped
+const DEFAULT_KEEP_DAYS = 30;
+
+function createDays({ keepDays = DEFAULT_KEEP_DAYS } = {}) {
+  const days = new Map(); // date -> Map(playerId -> entry)
+
+  const prune = () => {
+    const dates = Array.from(days.keys()).sort();
+    dates.slice(0, Math.max(0, dates.length - keepDays)).forEach(date => days.delete(date));
+  };
+
+  return {
+    days,
+    getEntries: date => Array.from(days.get(date)?.values() || []),
+    getEntry: (date, playerId) => days.get(date)?.get(playerId) || null,
+    addEntry(date, entry) {
+      if (!days.has(date)) {
+        days.set(date, new Map());
+        prune();
+      }
+      const entries = days.get(date);
+      if (entries.has(entry.playerId)) return false;
+      entries.set(entry.playerId, entry);
+      return true;
+    },
+  };
+}
+
+// Results live only in memory (lost on restart)
+function createMemoryDailyStore(options) {
+  const { days, ...api } = createDays(options);
+  return {
+    type: 'memory',
+    ...api,
+    flush: () => {},
+  };
+}
+
+// Keeps every day's results in one JSON file (debounced, atomic writes)
+function createFileDailyStore(filePath, { writeDelayMs = 1000, ...options } = {}) {
+  const { days, ...api } = createDays(options);
+
+  const data = readJsonFile(filePath, { label: 'Daily store' });
+  Object.entries(data?.days || {}).forEach(([date, entries]) => {
+    if (!Array.isArray(entries)) return;
+    days.set(date, new Map(entries.filter(e => e?.playerId).map(e => [e.playerId, e])));
+  });
+
+  const writer = createJsonFileWriter(filePath, () => JSON.stringify({
+    version: 1,
+    savedAt: Date.now(),
+    days: Object.fromEntries(Array.from(days.entries()).map(([date, entries]) => [date, Array.from(entries.values())])),
+  }), { writeDelayMs, label: 'Daily store' });
+
+  return {
+    type: 'file',
+    filePath,
+    ...api,
+    addEntry(date, entry) {
+      const added = api.addEntry(date, entry);
+      if (added) writer.schedule();
+      return added;
+    },
+    flush() {
+      writer.flush();
+    },
+  };
+}
+
+// Pick a store from env: DAILY_STORE=file (default) | memory, DAILY_STORE_PATH=<file>
+function createDailyStore({ type, filePath } = {}) {
+  if (type === 'memory') return createMemoryDailyStore();
+  if (type && type !== 'file') {
+    logger.warn('Unknown DAILY_STORE, falling back to file store', { type });
+  }
+  return createFileDailyStore(filePath);
+}
+
+module.exports = {
+  createDailyStore,
+  createMemoryDailyStore,
+  createFileDailyStore,
+};
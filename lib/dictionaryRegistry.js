@@ -0,0 +1,200 @@
+// Named word lists a lobby can play with (NWL, Collins, house lists...).
+// Lists are declared in data/dictionaries.json:
+//   { "default": "nwl2023",
+//     "lists": [{ "id": "nwl2023", "name": "NWL2023", "description": "...",
+//                 "file": "words.txt", "language": "en" }] }
+// Words are spelled with the tiles of the list's language pack (default "en"):
+// accents are folded and words the tiles can't spell are dropped.
+// Each list is packed into a DAWG once at boot (or read from a prebuilt .dawg
+// next to its text file) and shared by every lobby that picks it. Lists whose
+// file is missing are skipped, so the manifest can name optional lists.
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const WordSolver = require('../public/wordSolver');
+const { normalizeWord, normalizationSignature } = require('./languagePacks');
+
+const LIST_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Used when there is no manifest: the bundled NWL list only
+const DEFAULT_MANIFEST = {
+  default: 'nwl2023',
+  lists: [{ id: 'nwl2023', name: 'NWL2023', description: 'North American tournament list', file: 'words.txt', language: 'en' }],
+};
+
+// data/words.txt -> data/words.dawg (written by `npm run build:dictionary`)
+function packedPathFor(textPath) {
+  return textPath.replace(/\.txt$/i, '') + '.dawg';
+}
+
+function readManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) return DEFAULT_MANIFEST;
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (!Array.isArray(manifest?.lists)) {
+    throw new Error(`${manifestPath}: "lists" must be an array`);
+  }
+  return manifest;
+}
+
+// Identifies the packed form of a list: its text plus how the pack spells it
+function wordListHash(text, pack) {
+  return WordSolver.hashString(`${normalizationSignature(pack)}\n${text}`);
+}
+
+// Pack a word list's text for a language
+function packWordList(text, pack) {
+  const words = [];
+  text.split('\n').forEach(raw => {
+    const word = normalizeWord(pack, raw);
+    if (word) words.push(word);
+  });
+  return WordSolver.WordTrie.fromWords(words, { sourceHash: wordListHash(text, pack) });
+}
+
+// Pack one word list, reusing its prebuilt .dawg when it was built from this text
+function loadWordList(textPath, pack) {
+  const text = fs.readFileSync(textPath, 'utf8');
+  const sourceHash = wordListHash(text, pack);
+  const packedPath = packedPathFor(textPath);
+
+  let trie = null;
+  if (fs.existsSync(packedPath)) {
+    try {
+      trie = WordSolver.WordTrie.fromBinary(fs.readFileSync(packedPath));
+      if (trie.sourceHash !== sourceHash) {
+        logger.warn('Packed word list is out of date, rebuilding', { file: path.basename(packedPath), source: path.basename(textPath) });
+        trie = null;
+      }
+    } catch (err) {
+      logger.warn('Ignoring packed word list', { file: path.basename(packedPath), err: err.message });
+      trie = null;
+    }
+  }
+
+  const prebuilt = !!trie;
+  if (!trie) trie = packWordList(text, pack);
+  return { trie, binary: Buffer.from(trie.toBinary()), prebuilt };
+}
+
+function createDictionaryRegistry({ dataDir, languages, manifestPath = path.join(dataDir, 'dictionaries.json') }) {
+  const entries = new Map();
+  let manifest = DEFAULT_MANIFEST;
+
+  try {
+    manifest = readManifest(manifestPath);
+  } catch (err) {
+    logger.error('Failed to read dictionary manifest', { err: err.message });
+  }
+
+  manifest.lists.forEach(def => {
+    const id = String(def?.id || '').toLowerCase();
+    if (!LIST_ID_PATTERN.test(id) || !def.file) {
+      logger.warn('Skipping dictionary: needs an id (a-z, 0-9, - or _) and a file', { dictionary: def?.id });
+      return;
+    }
+    if (entries.has(id)) {
+      logger.warn('Skipping duplicate dictionary', { dictionary: id });
+      return;
+    }
+
+    const pack = languages.get(String(def.language || languages.defaultId).toLowerCase());
+    if (!pack) {
+      logger.warn('Skipping dictionary: unknown language', { dictionary: id, language: def.language });
+      return;
+    }
+
+    const textPath = path.resolve(dataDir, def.file);
+    if (!fs.existsSync(textPath)) {
+      logger.info('Dictionary not installed', { dictionary: id, missing: path.relative(process.cwd(), textPath) });
+      return;
+    }
+
+    try {
+      const { trie, binary, prebuilt } = loadWordList(textPath, pack);
+      entries.set(id, {
+        id,
+        name: def.name || id,
+        description: def.description || '',
+        language: pack.id,
+        textPath,
+        trie,
+        binary,
+        etag: `"dawg-v${WordSolver.FORMAT_VERSION}-${id}-${trie.sourceHash.toString(16)}"`,
+      });
+      logger.info('Dictionary loaded', { dictionary: id, language: pack.id, size: trie.size, packedKB: Math.round(binary.length / 1024), prebuilt });
+    } catch (err) {
+      logger.error('Failed to load dictionary', { dictionary: id, err: err.message });
+    }
+  });
+
+  const requestedDefault = String(manifest.default || '').toLowerCase();
+  const defaultId = entries.has(requestedDefault) ? requestedDefault : (entries.keys().next().value || null);
+  if (requestedDefault && defaultId !== requestedDefault) {
+    logger.warn('Default dictionary unavailable', { dictionary: requestedDefault, using: defaultId || 'an empty list' });
+  }
+
+  // Keeps the server running (every word rejected) if no list could be loaded
+  const emptyTrie = WordSolver.WordTrie.fromWords([]);
+  const emptyEntry = {
+    id: defaultId || 'none',
+    name: 'No dictionary',
+    description: '',
+    language: languages.defaultId,
+    textPath: null,
+    trie: emptyTrie,
+    binary: Buffer.from(emptyTrie.toBinary()),
+    etag: `"dawg-v${WordSolver.FORMAT_VERSION}-empty"`,
+  };
+
+  return {
+    defaultId,
+
+    has(id) {
+      return typeof id === 'string' && entries.has(id);
+    },
+
+    get(id) {
+      return (typeof id === 'string' && entries.get(id)) || null;
+    },
+
+    // The list for an id, falling back to the default (e.g. a restored lobby
+    // whose list has since been removed from the manifest)
+    resolve(id) {
+      return this.get(id) || entries.get(defaultId) || emptyEntry;
+    },
+
+    // Default list for a language: the pack's own choice if installed, else its
+    // first list. null when no list for the language is installed.
+    defaultFor(languageId) {
+      const preferred = entries.get(languages.get(languageId)?.dictionary);
+      if (preferred?.language === languageId) return preferred.id;
+      if (entries.get(defaultId)?.language === languageId) return defaultId;
+      const first = Array.from(entries.values()).find(entry => entry.language === languageId);
+      return first ? first.id : null;
+    },
+
+    // Languages that have at least one installed list
+    languageIds() {
+      return Array.from(new Set(Array.from(entries.values()).map(entry => entry.language)));
+    },
+
+    // Public summary for pickers
+    list() {
+      return Array.from(entries.values()).map(entry => ({
+        id: entry.id,
+        name: entry.name,
+        description: entry.description,
+        language: entry.language,
+        words: entry.trie.size,
+      }));
+    },
+  };
+}
+
+module.exports = {
+  createDictionaryRegistry,
+  readManifest,
+  packWordList,
+  loadWordList,
+  packedPathFor,
+};
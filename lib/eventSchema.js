@@ -0,0 +1,98 @@
+// Declarative payload checks for inbound socket events.
+// A schema maps each field a handler reads to a rule. validatePayload() returns
+// the cleaned payload (strings trimmed, fields the schema doesn't know dropped)
+// or the first problem it found, so handlers only ever see declared fields of
+// the declared types.
+//
+// Rules:
+//   { type: 'string', minLength, maxLength, pattern }   (trimmed before checking)
+//   { type: 'integer' | 'number', min, max }
+//   { type: 'boolean' }
+//   { type: 'enum', values }
+//   { type: 'array', maxItems, items: <rule> }
+//   { type: 'oneOf', rules: [<rule>, ...] }              (first rule that passes)
+// Any rule can add optional: true (the field may be missing or null).
+
+// Checks one value against a rule: { ok: true, value } or { ok: false, error }
+function checkValue(rule, value, field) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return { ok: false, error: `${field} must be text` };
+      const text = value.trim();
+      if (rule.minLength !== undefined && text.length < rule.minLength) {
+        return { ok: false, error: rule.minLength === 1 ? `${field} can't be empty` : `${field} is too short` };
+      }
+      if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+        return { ok: false, error: `${field} must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.pattern && text && !rule.pattern.test(text)) {
+        return { ok: false, error: rule.message || `${field} has characters that aren't allowed` };
+      }
+      return { ok: true, value: text };
+    }
+
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { ok: false, error: `${field} must be a number` };
+      if (rule.type === 'integer' && !Number.isInteger(value)) return { ok: false, error: `${field} must be a whole number` };
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return { ok: false, error: `${field} is out of range` };
+      }
+      return { ok: true, value };
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ? { ok: true, value } : { ok: false, error: `${field} must be true or false` };
+
+    case 'enum':
+      return rule.values.includes(value) ? { ok: true, value } : { ok: false, error: `${field} isn't a known option` };
+
+    case 'array': {
+      if (!Array.isArray(value)) return { ok: false, error: `${field} must be a list` };
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) return { ok: false, error: `${field} has too many items` };
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const result = checkValue(rule.items, value[i], `${field}[${i}]`);
+        if (!result.ok) return result;
+        items.push(result.value);
+      }
+      return { ok: true, value: items };
+    }
+
+    case 'oneOf': {
+      let firstError = null;
+      for (const option of rule.rules) {
+        const result = checkValue(option, value, field);
+        if (result.ok) return result;
+        firstError = firstError || result;
+      }
+      return firstError;
+    }
+
+    default:
+      throw new Error(`Unknown schema rule type "${rule.type}" for ${field}`);
+  }
+}
+
+// Validate an event payload against { field: rule }: { ok: true, value } or { ok: false, error }
+function validatePayload(schema, payload) {
+  if (payload !== undefined && payload !== null && (typeof payload !== 'object' || Array.isArray(payload))) {
+    return { ok: false, error: 'Payload must be an object' };
+  }
+  const data = payload || {};
+  const value = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    if (data[field] === undefined || data[field] === null) {
+      if (rule.optional) continue;
+      return { ok: false, error: `${field} is required` };
+    }
+    const result = checkValue(rule, data[field], field);
+    if (!result.ok) return result;
+    value[field] = result.value;
+  }
+  return { ok: true, value };
+}
+
+module.exports = {
+  validatePayload,
+};
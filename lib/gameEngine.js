@@ -0,0 +1,2983 @@
+// The game without a transport: lobbies, rounds, scoring, bots, chip betting,
+// spectators and host tools. Commands change a lobby; the engine emits events
+// saying who should hear about it. server.js is the Socket.IO adapter on top
+// (engine events -> socket messages, snapshots and metrics), and scripts or
+// tests can drive whole games in-process on a manual clock (see lib/clock.js
+// and scripts/simulateGame.js).
+//
+//   new GameEngine({ languages, dictionaries, llm, clock })
+//     languages, dictionaries  registries from lib/languagePacks.js and lib/dictionaryRegistry.js
+//     llm                      lib/llmProviders.js client for LLM bots (null: bots use the built-in solver)
+//     clock                    see lib/clock.js (default: real time)
+//     random                   Math.random-style generator for lobby codes, ids, fresh seeds and
+//                              bot names (default: Math.random). Dice always come from the lobby's seed.
+//
+// Commands take the lobby code and the acting player's visibleId, and return
+// { ok: true, ... } or { ok: false, error, message? }: error is a stable code,
+// message is for the player. Refusals without a message (a non-host pressing a
+// host button, a stale event) are meant to be dropped quietly.
+//   Joining:   createLobby, join, addPlayer, spectate, setWantsToPlay, addBoard, removeBoard, disconnect
+//   Host:      transferHost, kickPlayer, setLocked, renamePlayer, getEventLog, updateSettings, addBot, removeBot
+//   Game:      startGame, nextRound, showFinalResults, endGame, playAgain
+//   Players:   submit, reportBestWord, betAction, reroll
+//   Time:      tick (one second of the round now; normally the clock's interval does it)
+//   Operators: forceEndGame, closeLobby, restoreLobby
+//
+// Players, spectators and boards are tied to a connection id (the socket id
+// under server.js; LOCAL_CONNECTION for in-process players), which is how a
+// connection finds its seat again (getSeat) and how the adapter delivers.
+//
+// Events:
+//   'broadcast' (lobby, message, data)      for everyone watching: players, spectators and boards
+//   'send'      (lobby, id, message, data)  for one player (visibleId) or spectator (spectatorId)
+//   'boards'    (lobby, message, data)      for big-screen boards only
+//   'lobbyChanged' (lobby)                worth a new snapshot
+//   'lobbyDeleted' (lobby)                gone for good
+//   'gameStarted' (lobby), 'roundStarted' (lobby), 'roundRevealed' (lobby, results),
+//   'gameFinished' (lobby, standings), 'submission' (lobby, { player, valid }),
+//   'reroll' (lobby, player), 'timerHalved' (lobby, player), 'reconnect' (lobby, role),
+//   'bestWordComputed' (seconds)
+// In the first three, message names what happened, whatever the transport, and
+// data is what clients get. server.js maps each to a socket event (newRound ->
+// 'game:newRound'). Messages:
+//   Lobby: lobbyCreated, joined, rejoined, spectating, playersUpdated, settingsUpdated,
+//          settingsError, hostChanged, lockChanged, kicked, renamed, lobbyClosed
+//   Game:  gameStarting, newRound, boardState, timerUpdate, timerHalved, communityReveal,
+//          bettingUpdate, submitConfirmed, rerollResult, bestWordUpdate, roundResults,
+//          finalResults, returnToLobby
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const Scoring = require('../public/scoring');
+const WordSolver = require('../public/wordSolver');
+const LanguagePacks = require('./languagePacks');
+const BotEngine = require('./botEngine');
+const Random = require('./random');
+const Betting = require('./betting');
+const { systemClock } = require('./clock');
+const { logger } = require('./logger');
+
+// Connection id for players driven in-process (they count as connected)
+const LOCAL_CONNECTION = 'local';
+
+// A refused command
+function fail(error, message = null, fields = {}) {
+  return { ok: false, error, ...(message ? { message } : {}), ...fields };
+}
+
+function normalizeCode(code) {
+  return String(code || '').toUpperCase();
+}
+
+// Logger whose lines carry the lobby code (and a player's ID), so one lobby's
+// story can be pulled out of the server logs (see lib/logger.js)
+function logFor(lobby, playerId) {
+  return logger.child({ lobbyCode: lobby?.code, playerId });
+}
+
+// Shuffle array (Fisher-Yates)
+function shuffle(array, random = Math.random) {
+  const arr = [...array];
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// Modifiers - ALL are letter-specific
+const MODIFIERS = [
+  { name: 'Double Letter', shortName: '×2', multiplier: 2, type: 'multiply', color: '#3b82f6', desc: 'This letter scores ×2 points' },
+  { name: 'Triple Letter', shortName: '×3', multiplier: 3, type: 'multiply', color: '#8b5cf6', desc: 'This letter scores ×3 points' },
+  { name: 'Quad Letter', shortName: '×4', multiplier: 4, type: 'multiply', color: '#ec4899', desc: 'This letter scores ×4 points' },
+  { name: 'Start Bonus', shortName: '1st', multiplier: 2, type: 'position', position: 'start', color: '#f97316', desc: '×2 if used as FIRST letter of your word' },
+  { name: 'End Bonus', shortName: 'END', multiplier: 2, type: 'position', position: 'end', color: '#fb923c', desc: '×2 if used as LAST letter of your word' },
+  { name: 'Middle Power', shortName: 'MID', multiplier: 3, type: 'position', position: 'middle', color: '#fbbf24', desc: '×3 if used in the MIDDLE (not first or last)' },
+  { name: 'Second Letter', shortName: '2nd', multiplier: 2, type: 'position', position: 'second', color: '#f59e0b', desc: '×2 if used as the 2nd letter of your word' },
+  { name: 'Penultimate', shortName: '-2', multiplier: 2, type: 'position', position: 'penultimate', color: '#d97706', desc: '×2 if used as second-to-last letter' },
+  { name: 'Centerpiece', shortName: 'CTR', multiplier: 3, type: 'position', position: 'center', color: '#eab308', desc: '×3 if exact middle of an odd-length word' },
+  { name: 'Long Word', shortName: '6+', multiplier: 1, type: 'length', minLength: 6, bonus: 7, color: '#10b981', desc: '+7 bonus if your word is 6+ letters' },
+  { name: 'Short & Sweet', shortName: '4', multiplier: 3, type: 'length', exactLength: 4, color: '#14b8a6', desc: '×3 if your word is exactly 4 letters' },
+  { name: 'Five Alive', shortName: '5', multiplier: 2, type: 'length', exactLength: 5, bonus: 3, color: '#0d9488', desc: '×2 + 3 bonus if your word is exactly 5 letters' },
+  { name: 'Compact', shortName: '3', multiplier: 1, type: 'length', exactLength: 3, bonus: 5, color: '#059669', desc: '+5 bonus if your word is exactly 3 letters' },
+  { name: 'Odd Word', shortName: 'ODD', multiplier: 1, type: 'parity', parity: 'odd', bonus: 4, color: '#8b5cf6', desc: '+4 bonus if word has ODD number of letters' },
+  { name: 'Even Word', shortName: 'EVEN', multiplier: 1, type: 'parity', parity: 'even', bonus: 4, color: '#a855f7', desc: '+4 bonus if word has EVEN number of letters' },
+  { name: 'Vowel Buddy', shortName: 'V+', multiplier: 2, type: 'neighbor', neighborType: 'vowel', color: '#06b6d4', desc: '×2 if this letter is next to a VOWEL' },
+  { name: 'Balanced', shortName: 'BAL', multiplier: 1, type: 'composition', compositionType: 'balanced', bonus: 4, color: '#0ea5e9', desc: '+4 if word has equal vowels and consonants' },
+  { name: 'Vowel Rich', shortName: 'V>C', multiplier: 1, type: 'composition', compositionType: 'vowelRich', bonus: 6, color: '#6366f1', desc: '+6 if word has more vowels than consonants' },
+  { name: 'Bonus +3', shortName: '+3', multiplier: 1, type: 'bonus', bonus: 3, color: '#22c55e', desc: '+3 points if you use this letter' },
+  { name: 'Bonus +4', shortName: '+4', multiplier: 1, type: 'bonus', bonus: 4, color: '#16a34a', desc: '+4 points if you use this letter' },
+];
+
+// Placement points are based on total players in the lobby (N -> 1).
+
+// Timer scaling helpers (duplicated from client for server-side validation)
+function getRecommendedTimerSeconds(playerCount) {
+  if (playerCount <= 1) return 75;
+  const raw = 20 * Math.pow(playerCount, 1.9);
+  return Math.max(75, Math.min(1800, Math.round(raw / 15) * 15));
+}
+
+function getMaxTimer(playerCount) {
+  const recommended = getRecommendedTimerSeconds(playerCount);
+  return Math.min(3600, Math.round((recommended * 2) / 15) * 15);
+}
+
+// Bot player names (picked randomly, prefixed with 🤖)
+const BOT_NAMES = [
+  'Bob', 'Luna', 'Max', 'Zoe', 'Finn', 'Ruby', 'Leo', 'Ivy',
+  'Ace', 'Milo', 'Nova', 'Rex', 'Cleo', 'Otto', 'Iris', 'Hugo'
+];
+
+// Generate unique lobby code
+function generateLobbyCode(random = Math.random) {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Avoid confusing characters
+  let code = '';
+  for (let i = 0; i < 4; i++) {
+    code += chars.charAt(Math.floor(random() * chars.length));
+  }
+  return code;
+}
+
+// Generate a unique player ID
+function generatePlayerId(random = Math.random) {
+  return 'player_' + random().toString(36).substr(2, 9);
+}
+
+// Secret proving a client owns a seat. visibleId is broadcast to everyone,
+// so rejoining needs this too; it only ever goes to its owner.
+function generateSessionToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function isSessionTokenValid(expected, token) {
+  if (typeof expected !== 'string' || typeof token !== 'string' || expected.length !== token.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token));
+}
+
+// ============================================================================
+// Snapshots
+// ============================================================================
+
+// Runtime-only lobby/player fields (timers, connections) that never get snapshotted.
+// Fun fact images are base64 data URLs (megabytes each), so restored lobbies go without them.
+const TRANSIENT_LOBBY_KEYS = ['timerInterval', 'deleteTimeout', 'advanceTimeout', 'autoAdvanceAt', 'playerSockets', 'boardSockets', 'spectators', 'spectatorSockets', 'currentFunFactImage'];
+const TRANSIENT_PLAYER_KEYS = ['removeTimeout', 'hostTransferTimeout', 'botTimeout', 'botDueAt', 'botBetTimeout'];
+const TRANSIENT_ROUND_KEYS = ['funFactImage'];
+// Lobby fields stored as Maps (snapshotted as [key, value] entry arrays)
+const MAP_LOBBY_KEYS = ['players', 'playerSubmissions', 'playerBestWords'];
+
+function serializePlayer(player) {
+  const snapshot = { ...player };
+  TRANSIENT_PLAYER_KEYS.forEach(key => delete snapshot[key]);
+  return snapshot;
+}
+
+function serializeRound(round) {
+  const snapshot = { ...round };
+  TRANSIENT_ROUND_KEYS.forEach(key => delete snapshot[key]);
+  return snapshot;
+}
+
+// Convert a live lobby into plain JSON
+function serializeLobby(lobby) {
+  const snapshot = {};
+  for (const [key, value] of Object.entries(lobby)) {
+    if (TRANSIENT_LOBBY_KEYS.includes(key)) continue;
+    if (key === 'players') {
+      snapshot.players = Array.from(value.entries()).map(([id, p]) => [id, serializePlayer(p)]);
+    } else if (key === 'roundHistory') {
+      snapshot.roundHistory = Array.isArray(value) ? value.map(serializeRound) : value;
+    } else if (MAP_LOBBY_KEYS.includes(key)) {
+      snapshot[key] = Array.from(value.entries());
+    } else {
+      snapshot[key] = value;
+    }
+  }
+  snapshot.savedAt = Date.now();
+  return snapshot;
+}
+
+// Rebuild a live lobby from a snapshot (nobody connected, no timers running;
+// GameEngine#restoreLobby picks the game back up)
+function hydrateLobby(snapshot) {
+  const { savedAt, ...fields } = snapshot;
+  const lobby = {
+    ...fields,
+    playerSockets: new Map(),
+    boardSockets: new Set(),
+    spectators: new Map(),
+    spectatorSockets: new Map(),
+    timerInterval: null,
+    deleteTimeout: null,
+    advanceTimeout: null,
+    autoAdvanceAt: null,
+    currentFunFactImage: null,
+  };
+  MAP_LOBBY_KEYS.forEach(key => {
+    lobby[key] = new Map(Array.isArray(snapshot[key]) ? snapshot[key] : []);
+  });
+  return lobby;
+}
+
+// ============================================================================
+// Dice
+// ============================================================================
+
+// The lobby's seeded generator as a Math.random-style function
+function getLobbyRandom(lobby) {
+  return () => {
+    const [value, state] = Random.nextRandom(lobby.rngState);
+    lobby.rngState = state;
+    return value;
+  };
+}
+
+// Vowel/consonant tiles come from the lobby's language pack
+function isVowelLetter(pack, letter) {
+  return LanguagePacks.isVowelTile(pack, letter);
+}
+
+function getRandomLetterFrom(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function replaceRandomDie(dice, matchFn, newLetter, pack, random) {
+  const indices = dice
+    .map((die, idx) => (matchFn(die) ? idx : -1))
+    .filter(idx => idx >= 0);
+  if (indices.length === 0) return false;
+
+  const replaceIndex = indices[Math.floor(random() * indices.length)];
+  const tile = pack.tileByLetter.get(newLetter);
+  if (!tile) return false;
+  dice[replaceIndex] = { letter: tile.letter, points: tile.points };
+  return true;
+}
+
+// Ensure player hand has at least one vowel and one consonant
+function ensurePlayerBalance(dice, pack, random) {
+  const vowelCount = dice.filter(d => isVowelLetter(pack, d.letter)).length;
+
+  if (vowelCount === 0) {
+    const vowelLetter = getRandomLetterFrom(pack.vowelLetters, random);
+    replaceRandomDie(dice, d => !isVowelLetter(pack, d.letter), vowelLetter, pack, random);
+    return dice;
+  }
+
+  if (vowelCount === dice.length) {
+    const consonantLetter = getRandomLetterFrom(pack.consonantLetters, random);
+    replaceRandomDie(dice, d => isVowelLetter(pack, d.letter), consonantLetter, pack, random);
+  }
+
+  return dice;
+}
+
+// Ensure community dice have at least 2 vowels and 2 consonants
+function ensureCommunityBalance(dice, pack, random) {
+  let vowelCount = dice.filter(d => isVowelLetter(pack, d.letter)).length;
+  let consonantCount = dice.length - vowelCount;
+  let guard = 0;
+
+  while (vowelCount < 2 && guard < 10) {
+    const vowelLetter = getRandomLetterFrom(pack.vowelLetters, random);
+    if (replaceRandomDie(dice, d => !isVowelLetter(pack, d.letter), vowelLetter, pack, random)) {
+      vowelCount += 1;
+      consonantCount -= 1;
+    }
+    guard += 1;
+  }
+
+  while (consonantCount < 2 && guard < 20) {
+    const consonantLetter = getRandomLetterFrom(pack.consonantLetters, random);
+    if (replaceRandomDie(dice, d => isVowelLetter(pack, d.letter), consonantLetter, pack, random)) {
+      consonantCount += 1;
+      vowelCount -= 1;
+    }
+    guard += 1;
+  }
+
+  return dice;
+}
+
+// Generate a random modifier attached to a die, avoiding recent repeats
+function rollModifier(lobby) {
+  const random = lobby ? getLobbyRandom(lobby) : Math.random;
+  const recentCount = Math.min(Math.floor(MODIFIERS.length / 2), lobby ? lobby.recentModifiers.length : 0);
+  const recent = lobby ? lobby.recentModifiers.slice(-recentCount) : [];
+  const available = MODIFIERS.map((m, i) => i).filter(i => !recent.includes(i));
+  const index = available[Math.floor(random() * available.length)];
+  if (lobby) {
+    lobby.recentModifiers.push(index);
+    // Keep history bounded
+    if (lobby.recentModifiers.length > MODIFIERS.length) {
+      lobby.recentModifiers.shift();
+    }
+  }
+  const dieIndex = Math.floor(random() * 5);
+  return {
+    ...MODIFIERS[index],
+    dieIndex,
+  };
+}
+
+// ============================================================================
+// Staged Rounds
+// ============================================================================
+
+// settings.roundMode 'staged' deals the community dice like Hold'em streets:
+// the flop (3 dice), then the turn (4th) and the river (5th), revealInterval
+// seconds apart. The modifier's die may only appear on a later street.
+// Locking in a word before the river earns a speed bonus.
+const ROUND_MODES = ['classic', 'staged'];
+const FLOP_SIZE = 3;
+const STREET_NAMES = { 3: 'flop', 4: 'turn', 5: 'river' };
+const SPEED_BONUS = { flop: 5, turn: 2 };
+const REVEAL_INTERVAL_MIN = 5;
+const REVEAL_INTERVAL_MAX = 60;
+
+function normalizeRevealInterval(value) {
+  const seconds = Math.round(Number(value));
+  if (!Number.isFinite(seconds)) return 15;
+  return Math.min(REVEAL_INTERVAL_MAX, Math.max(REVEAL_INTERVAL_MIN, seconds));
+}
+
+// Seconds between streets, shortened so the river still leaves 10s to play it
+function getRevealInterval(lobby) {
+  const fit = Math.floor((lobby.settings.timerDuration - 10) / (lobby.communityDice.length - FLOP_SIZE || 1));
+  return Math.max(REVEAL_INTERVAL_MIN, Math.min(lobby.settings.revealInterval, fit));
+}
+
+function getVisibleCommunityDice(lobby) {
+  return lobby.communityDice.slice(0, lobby.revealedCount);
+}
+
+// The modifier only shows once its die is on the board
+function getVisibleModifier(lobby) {
+  return lobby.modifier && lobby.modifier.dieIndex < lobby.revealedCount ? lobby.modifier : null;
+}
+
+function isBoardComplete(lobby) {
+  return lobby.revealedCount >= lobby.communityDice.length;
+}
+
+function getStreetName(lobby) {
+  return STREET_NAMES[lobby.revealedCount] || 'river';
+}
+
+// Bonus for submitting now (0 once the board is complete)
+function getSpeedBonus(lobby) {
+  if (isBoardComplete(lobby)) return 0;
+  return SPEED_BONUS[getStreetName(lobby)] || 0;
+}
+
+// Seconds until the next street, or null when everything is out. When a street
+// has chip betting, it's dealt as soon as the betting is done (null until then).
+function getNextRevealIn(lobby) {
+  if (isBoardComplete(lobby)) return null;
+  if (lobby.betting?.contested) return lobby.betting.streetClosed ? 0 : null;
+  return Math.max(0, getRevealInterval(lobby) - (lobby.roundElapsed - lobby.streetStartedAt));
+}
+
+// Betting is holding back the next street. The round timer waits meanwhile, so
+// slow betting can't run the clock out before the river.
+function isStreetBettingOpen(lobby) {
+  return !isBoardComplete(lobby) && !!lobby.betting?.contested && !lobby.betting.streetClosed;
+}
+
+// ============================================================================
+// Chip Betting
+// ============================================================================
+
+// With settings.betting on (staged rounds only), every player starts the game
+// with settings.startingChips. Each round everyone with chips antes, then bets
+// on the flop, turn and river in turn order; the next street is dealt once a
+// street's betting is done. Word scores decide the pot at showdown (revealResults).
+// Players out of chips sit the betting out but still play words.
+const CHIP_LIMITS = { startingChips: [100, 100000], ante: [0, 1000] };
+const BET_ACTION_SECONDS = 20;
+const DISCONNECTED_ACTION_SECONDS = 5;
+const BOT_BET_DELAY_MS = [1200, 3000];
+
+// Player-facing messages for rejected bets (keyed by lib/betting.js error)
+const BET_ERROR_MESSAGES = {
+  not_your_turn: "It's not your turn to bet",
+  cannot_check: 'There is a bet to call',
+  nothing_to_call: 'Nothing to call - check instead',
+  cannot_bet: 'Someone already bet - raise instead',
+  cannot_raise: 'You cannot raise',
+  bad_amount: 'That amount is not allowed',
+  unknown_action: 'Unknown action',
+};
+
+function isBettingEnabled(lobby) {
+  return !!lobby.settings.betting && lobby.settings.roundMode === 'staged';
+}
+
+function normalizeChipSettings(settings) {
+  settings.betting = !!settings.betting && settings.roundMode === 'staged';
+  Object.entries(CHIP_LIMITS).forEach(([key, [min, max]]) => {
+    const value = Math.round(Number(settings[key]));
+    settings[key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : (key === 'ante' ? 10 : 1000);
+  });
+  settings.ante = Math.min(settings.ante, Math.floor(settings.startingChips / 10));
+}
+
+// Seats in action order: starting left of this round's dealer
+function getBettingOrder(lobby) {
+  const ids = Array.from(lobby.players.keys());
+  if (ids.length === 0) return [];
+  const start = (lobby.dealerIndex + 1) % ids.length;
+  return ids.slice(start).concat(ids.slice(0, start));
+}
+
+// Stacks live in the betting seats during a hand; mirror them onto players for standings
+function syncChips(lobby) {
+  if (!lobby.betting) return;
+  lobby.betting.seats.forEach(seat => {
+    const player = lobby.players.get(seat.id);
+    if (player) player.chips = seat.stack;
+  });
+}
+
+// What clients see of the hand (legal is for whoever is to act)
+function getBettingView(lobby) {
+  const betting = lobby.betting;
+  if (!betting) return null;
+  return {
+    street: betting.street,
+    pot: Betting.getPot(betting),
+    currentBet: betting.currentBet,
+    minBet: betting.minBet,
+    toAct: betting.toAct,
+    actionRemaining: betting.toAct ? betting.actionRemaining : null,
+    streetClosed: betting.streetClosed,
+    legal: betting.toAct ? Betting.legalActions(betting, betting.toAct) : null,
+    seats: betting.seats.map(seat => ({
+      visibleId: seat.id,
+      stack: seat.stack,
+      streetBet: seat.streetBet,
+      committed: seat.committed,
+      folded: seat.folded,
+      allIn: seat.allIn,
+    })),
+  };
+}
+
+// Showdown: pay the pots to the best words among players still in.
+// Returns { pots, chips: { visibleId: { chips, chipsDelta } } } or null without betting.
+function settleBetting(lobby, results) {
+  const betting = lobby.betting;
+  if (!betting) return null;
+
+  const scores = {};
+  results.forEach(r => {
+    scores[r.visibleId] = r.isInvalid || r.noSubmission ? 0 : (r.score || 0);
+  });
+
+  const pots = Betting.settle(betting, scores).map(pot => ({
+    amount: pot.amount,
+    winners: pot.winners,
+    winnerNames: pot.winners.map(id => lobby.players.get(id)?.name || id),
+  }));
+  syncChips(lobby);
+
+  const chips = {};
+  lobby.players.forEach((player, visibleId) => {
+    if (typeof player.chips !== 'number') return;
+    const before = betting.startStacks[visibleId] ?? player.chips;
+    chips[visibleId] = { chips: player.chips, chipsDelta: player.chips - before };
+  });
+
+  logFor(lobby).info('Showdown', { pots: pots.map(p => `${p.amount} → ${p.winnerNames.join(' & ') || 'nobody'}`) });
+  lobby.betting = null;
+  return { pots, chips };
+}
+
+// ============================================================================
+// Spectators, Hosts and Moderation
+// ============================================================================
+
+// Spectators watch without a seat: the community dice, who has submitted and
+// the results, never anyone's letters. They live in lobby.spectators (not
+// lobby.players), so they never count toward "all submitted", timer halving
+// or the player count. A spectator who asks to play takes a seat at the next
+// round boundary, starting on settings.lateJoin's catch-up score.
+const LATE_JOIN_MODES = ['last', 'zero', 'off'];
+const SPECTATOR_REMOVE_DELAY_MS = 30 * 1000;
+
+// The host can hand over at any time. If they drop (in any state, mid-game
+// included) the role moves to a connected human after a grace period, so
+// nobody is left unable to press Next Round or End Game.
+const HOST_TRANSFER_DELAY_MS = 30 * 1000;
+
+// Disconnected players keep their seat this long; a lobby nobody is connected to, this long
+const PLAYER_REMOVE_DELAY_MS = 2 * 60 * 1000;
+const LOBBY_DELETE_DELAY_MS = 5 * 60 * 1000;
+
+// Host tools against trolls and idlers: kick, ban (by session token, for this
+// lobby only), lock the lobby to new joins, and force-rename. The affected
+// client is told directly, and every action lands in lobby.eventLog (persisted
+// with the lobby, newest last) which the host can read back.
+const EVENT_LOG_LIMIT = 200;
+
+function getSpectatorList(lobby) {
+  return Array.from(lobby.spectators.values()).map(s => ({
+    spectatorId: s.spectatorId,
+    name: s.name,
+    wantsToPlay: s.wantsToPlay,
+  }));
+}
+
+// Mid-game joiners start level with last place (or on zero)
+function getCatchUpScore(lobby) {
+  if (lobby.settings.lateJoin !== 'last' || lobby.players.size === 0) return 0;
+  return Math.min(...Array.from(lobby.players.values()).map(p => p.totalPoints || 0));
+}
+
+function getHost(lobby) {
+  return Array.from(lobby.players.values()).find(p => p.isHost) || null;
+}
+
+// First connected human other than excludeId (bots can't press buttons)
+function pickNewHost(lobby, excludeId) {
+  for (const [visibleId, player] of lobby.players) {
+    if (visibleId !== excludeId && !player.isBot && lobby.playerSockets.has(visibleId)) return player;
+  }
+  return null;
+}
+
+function isSessionBanned(lobby, sessionToken) {
+  return lobby.bannedSessions.some(banned => isSessionTokenValid(banned, sessionToken));
+}
+
+// A player's own data minus the session token (clients keep theirs from join)
+function getPublicPlayer(player) {
+  const { sessionToken, ...rest } = player;
+  return rest;
+}
+
+// ============================================================================
+// Lobby Visibility
+// ============================================================================
+
+// settings.visibility: 'unlisted' (reachable by code only), 'public' (also
+// listed at /api/lobbies while waiting for players) or 'password' (new
+// players, spectators and boards need the host's password; people already in
+// the lobby reconnect without it). Only a salted scrypt hash is kept, in
+// lobby.passwordHash: settings go to every client.
+const VISIBILITY_MODES = ['unlisted', 'public', 'password'];
+const LOBBY_PASSWORD_MAX_LENGTH = 64;
+
+function hashLobbyPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+function checkLobbyPassword(lobby, password) {
+  if (lobby.settings.visibility !== 'password') return true;
+  if (!lobby.passwordHash || typeof password !== 'string' || !password) return false;
+  const [salt, hash] = lobby.passwordHash.split(':');
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), crypto.scryptSync(password, salt, 32));
+}
+
+// The refusal a new joiner gets without the right password (null when they may come in)
+function getPasswordError(lobby, password) {
+  if (checkLobbyPassword(lobby, password)) return null;
+  return password
+    ? fail('wrong_password', 'Wrong password for this lobby', { needsPassword: true })
+    : fail('password_required', 'This lobby needs a password', { needsPassword: true });
+}
+
+// ============================================================================
+// Auto-Advance
+// ============================================================================
+
+// settings.autoAdvance (seconds, 0 = off): after results the engine deals the
+// next round (or shows final results after the last one) by itself, so a game
+// never stalls waiting for the host. The host can still move on early.
+const AUTO_ADVANCE_MIN = 5;
+const AUTO_ADVANCE_MAX = 120;
+
+function normalizeAutoAdvance(value) {
+  const seconds = Math.round(Number(value));
+  if (!Number.isFinite(seconds) || seconds <= 0) return 0;
+  return Math.min(AUTO_ADVANCE_MAX, Math.max(AUTO_ADVANCE_MIN, seconds));
+}
+
+// ============================================================================
+// Scoring
+// ============================================================================
+
+// Player-facing messages for submission rejections (keyed by validation code)
+const SUBMIT_ERROR_MESSAGES = {
+  no_tiles: 'Select some letters first',
+  invalid_tile: 'Those tiles are not on the board',
+  duplicate_tile: 'Each tile can only be used once',
+  word_mismatch: 'Tiles do not spell that word',
+  no_player_tile: 'You must use at least one of your letters',
+  too_short: 'Words must be at least 2 letters',
+  not_in_dictionary: 'Not in the dictionary',
+};
+
+// Parse a tile id ("community-2", "player-0") into its source and index
+function parseTileId(tileId) {
+  if (typeof tileId !== 'string') return null;
+  const match = tileId.trim().match(/^(community|player)-(\d+)$/);
+  if (!match) return null;
+  return { source: match[1], index: Number(match[2]) };
+}
+
+// Calculate placements and award points
+function calculatePlacements(lobby) {
+  const submissions = [];
+  const invalidResults = [];
+
+  lobby.players.forEach((player, visibleId) => {
+    const submission = lobby.playerSubmissions.get(visibleId);
+
+    if (submission && submission.isValid) {
+      submissions.push({
+        visibleId,
+        name: player.name,
+        word: submission.word,
+        score: submission.score,
+        breakdown: submission.breakdown,
+      });
+      return;
+    }
+
+    if (!submission) {
+      submissions.push({
+        visibleId,
+        name: player.name,
+        word: '—',
+        score: 0,
+        breakdown: '',
+        noSubmission: true,
+      });
+      return;
+    }
+
+    invalidResults.push({
+      visibleId,
+      name: player.name,
+      word: submission.word || '—',
+      score: submission.score || 0,
+      breakdown: submission.breakdown || '',
+      place: null,
+      pointsEarned: 0,
+      isInvalid: true,
+      noSubmission: false,
+    });
+  });
+
+  // Sort by score descending
+  submissions.sort((a, b) => b.score - a.score);
+
+  const totalPlayers = lobby.players.size;
+  const results = [];
+  let idx = 0;
+
+  while (idx < submissions.length) {
+    const startIdx = idx;
+    const score = submissions[idx].score;
+
+    while (idx + 1 < submissions.length && submissions[idx + 1].score === score) {
+      idx++;
+    }
+
+    const endIdx = idx;
+    const startPlace = startIdx + 1;
+    const endPlace = endIdx + 1;
+    const pointsStart = Math.max(totalPlayers - startPlace + 1, 0);
+    const pointsEnd = Math.max(totalPlayers - endPlace + 1, 0);
+    const pointsEarned = (pointsStart + pointsEnd) / 2;
+
+    for (let i = startIdx; i <= endIdx; i++) {
+      const sub = submissions[i];
+      const player = lobby.players.get(sub.visibleId);
+      if (player) {
+        player.totalPoints += pointsEarned;
+      }
+
+      results.push({
+        ...sub,
+        place: startPlace,
+        pointsEarned,
+      });
+    }
+
+    idx++;
+  }
+
+  return results.concat(invalidResults);
+}
+
+function buildBestWordPayload(lobby, visibleId, submittedScore = 0) {
+  const best = lobby.playerBestWords.get(visibleId);
+  if (!best || !best.word || typeof best.score !== 'number' || best.score <= 0) {
+    return { bestWord: null, bestScore: null, bestPercent: null };
+  }
+
+  // A staged-round speed bonus isn't part of the word, so it doesn't count toward optimal
+  const speedBonus = lobby.playerSubmissions.get(visibleId)?.speedBonus || 0;
+  const rawPercent = best.score > 0 ? ((submittedScore - speedBonus) / best.score) * 100 : 0;
+  const bestPercent = Math.max(0, Math.min(100, Math.round(rawPercent)));
+
+  return {
+    bestWord: best.word,
+    bestScore: best.score,
+    bestPercent,
+  };
+}
+
+function computeAverageOptimal(lobby, visibleId) {
+  if (!lobby.roundHistory || lobby.roundHistory.length === 0) return null;
+
+  let sum = 0;
+  let count = 0;
+
+  lobby.roundHistory.forEach(round => {
+    const entry = round.results?.find(r => r.visibleId === visibleId);
+    if (!entry) return;
+    if (typeof entry.bestPercent === 'number') {
+      sum += entry.bestPercent;
+      count++;
+    }
+  });
+
+  if (count === 0) return null;
+  return Math.round(sum / count);
+}
+
+function applyAverageToStandings(lobby, standings) {
+  standings.forEach(s => {
+    s.avgOptimal = computeAverageOptimal(lobby, s.visibleId);
+  });
+}
+
+class GameEngine extends EventEmitter {
+  constructor({ languages, dictionaries, llm = null, clock = systemClock, random = Math.random }) {
+    super();
+    this.languages = languages;
+    this.dictionaries = dictionaries;
+    this.llm = llm;
+    this.clock = clock;
+    this.random = random;
+    this.lobbies = new Map(); // lobbyCode -> lobby
+  }
+
+  // ==========================================================================
+  // Delivery
+  // ==========================================================================
+
+  broadcast(lobby, message, data) {
+    this.emit('broadcast', lobby, message, data);
+  }
+
+  send(lobby, id, message, data) {
+    this.emit('send', lobby, id, message, data);
+  }
+
+  lobbyChanged(lobby) {
+    if (lobby && this.lobbies.get(lobby.code) === lobby) this.emit('lobbyChanged', lobby);
+  }
+
+  deleteLobby(lobby) {
+    this.lobbies.delete(lobby.code);
+    this.emit('lobbyDeleted', lobby);
+  }
+
+  broadcastPlayerList(lobby) {
+    this.broadcast(lobby, 'playersUpdated', {
+      players: this.getPlayerList(lobby),
+      spectators: getSpectatorList(lobby),
+      settings: lobby.settings,
+      status: lobby.status,
+      locked: lobby.locked,
+    });
+  }
+
+  // ==========================================================================
+  // Lookups
+  // ==========================================================================
+
+  getLobby(code) {
+    return this.lobbies.get(normalizeCode(code)) || null;
+  }
+
+  // Where a connection sits in a lobby: { lobby, visibleId, spectatorId } (null when it has no seat)
+  getSeat(code, connectionId) {
+    const lobby = this.getLobby(code);
+    const findId = connections => {
+      for (const [id, connection] of connections) {
+        if (connection === connectionId) return id;
+      }
+      return null;
+    };
+    return {
+      lobby,
+      visibleId: lobby ? findId(lobby.playerSockets) : null,
+      spectatorId: lobby ? findId(lobby.spectatorSockets) : null,
+    };
+  }
+
+  // The lobby and the acting player for a host-only command (null unless they're the host)
+  getHostSeat(code, playerId) {
+    const lobby = this.getLobby(code);
+    const player = lobby?.players.get(playerId);
+    return player?.isHost ? { lobby, player } : null;
+  }
+
+  getLobbyDictionary(lobby) {
+    return this.dictionaries.resolve(lobby?.settings?.dictionaryId);
+  }
+
+  getLobbyLanguage(lobby) {
+    return this.languages.resolve(lobby?.settings?.language);
+  }
+
+  // Scoring options for the lobby's language (vowel-based modifiers)
+  getScoringOptions(lobby) {
+    return { vowels: this.getLobbyLanguage(lobby).vowels };
+  }
+
+  // ==========================================================================
+  // Dice
+  // ==========================================================================
+
+  // Start a game's random stream: the host's seed setting, or a fresh seed
+  seedLobby(lobby) {
+    lobby.seed = lobby.settings.seed || Random.generateSeed(this.random);
+    lobby.rngState = Random.seedState(lobby.seed);
+    lobby.recentModifiers = [];
+    this.resetDeck(lobby);
+  }
+
+  // Initialize or reshuffle deck for a lobby
+  resetDeck(lobby) {
+    lobby.letterDeck = shuffle(LanguagePacks.createLetterDeck(this.getLobbyLanguage(lobby)), getLobbyRandom(lobby));
+    lobby.deckIndex = 0;
+  }
+
+  // Draw a letter from the lobby's deck
+  drawLetter(lobby) {
+    if (lobby.deckIndex >= lobby.letterDeck.length) {
+      this.resetDeck(lobby);
+    }
+    return { ...lobby.letterDeck[lobby.deckIndex++] };
+  }
+
+  // Roll dice for a player (3 dice)
+  rollPlayerDice(lobby) {
+    const dice = [this.drawLetter(lobby), this.drawLetter(lobby), this.drawLetter(lobby)];
+    return ensurePlayerBalance(dice, this.getLobbyLanguage(lobby), getLobbyRandom(lobby));
+  }
+
+  // Roll community dice (5 dice) - ensures variety
+  rollCommunityDice(lobby) {
+    const dice = [];
+    const usedLetters = new Set();
+
+    let attempts = 0;
+    while (dice.length < 5 && attempts < 20) {
+      const letter = this.drawLetter(lobby);
+      if (!usedLetters.has(letter.letter) || attempts > 10) {
+        dice.push(letter);
+        usedLetters.add(letter.letter);
+      }
+      attempts++;
+    }
+
+    while (dice.length < 5) {
+      dice.push(this.drawLetter(lobby));
+    }
+
+    return ensureCommunityBalance(dice, this.getLobbyLanguage(lobby), getLobbyRandom(lobby));
+  }
+
+  // The daily challenge and practice mode play single rounds without a lobby.
+  // A board is dealt like a lobby round from its own seeded generator, as a
+  // lobby-shaped object so the usual dealing, scoring and best-word helpers apply.
+  dealSoloBoard(seed, language = this.languages.defaultId) {
+    const board = {
+      code: `SOLO-${seed}`,
+      settings: {
+        language,
+        dictionaryId: this.dictionaries.defaultFor(language),
+        roundMode: 'classic',
+      },
+      seed,
+      rngState: Random.seedState(seed),
+      recentModifiers: [],
+      letterDeck: [],
+      deckIndex: 0,
+    };
+    this.resetDeck(board);
+    board.communityDice = this.rollCommunityDice(board);
+    board.revealedCount = board.communityDice.length;
+    board.modifier = rollModifier(board);
+    board.player = { dice: this.rollPlayerDice(board) };
+    board.best = this.computeBestWordForPlayer(board, board.player);
+    return board;
+  }
+
+  // ==========================================================================
+  // Joining
+  // ==========================================================================
+
+  // A new lobby with its creator as host (they get 'lobbyCreated')
+  createLobby({ name, connectionId = LOCAL_CONNECTION } = {}) {
+    let code = generateLobbyCode(this.random);
+    // Ensure unique
+    while (this.lobbies.has(code)) {
+      code = generateLobbyCode(this.random);
+    }
+
+    const hostId = generatePlayerId(this.random);
+    const seed = Random.generateSeed(this.random);
+
+    const lobby = {
+      code,
+      hostId,
+      createdAt: this.clock.now(),
+      status: 'waiting', // waiting, playing, finished
+      settings: {
+        totalRounds: 10,
+        timerDuration: 75, // seconds
+        language: this.languages.defaultId, // language pack (see data/languages/)
+        dictionaryId: this.dictionaries.defaultFor(this.languages.defaultId), // word list (see data/dictionaries.json)
+        seed: null, // fixed game seed for replays (null = fresh seed each game)
+        roundMode: 'classic', // 'classic' (all 5 community dice at once) or 'staged' (flop, turn, river)
+        revealInterval: 15, // staged rounds: seconds between streets
+        betting: false, // staged rounds only: chip betting between streets
+        startingChips: 1000,
+        ante: 10,
+        lateJoin: 'last', // catch-up score for mid-game joiners: 'last' (last place's total), 'zero' or 'off'
+        autoAdvance: 0, // seconds after results before the engine moves on by itself (0 = wait for the host)
+        visibility: 'unlisted', // 'unlisted' (code only), 'public' (listed in the lobby browser) or 'password'
+      },
+      passwordHash: null, // salt:hash of the lobby password (see hashLobbyPassword), never sent to clients
+      players: new Map(), // visibleId -> player data
+      playerSockets: new Map(), // visibleId -> connection id
+      boardSockets: new Set(), // connection ids of big-screen boards (display only, not players)
+      spectators: new Map(), // spectatorId -> { spectatorId, name, wantsToPlay } (not players)
+      spectatorSockets: new Map(), // spectatorId -> connection id
+      locked: false, // host closed the lobby to new players and spectators
+      bannedSessions: [], // session tokens the host banned (see removePlayer)
+      eventLog: [], // moderation and host changes (see logLobbyEvent)
+
+      // Game state
+      seed, // seed of the current game (see seedLobby)
+      rngState: Random.seedState(seed), // every dice/modifier draw goes through this
+      roundNumber: 0,
+      communityDice: [],
+      revealedCount: 0, // community dice visible so far (staged rounds deal them in streets)
+      roundElapsed: 0, // seconds since the round started (drives staged reveals)
+      streetStartedAt: 0, // roundElapsed when the current street was dealt
+      modifier: null,
+      betting: null, // current hand's betting state (see lib/betting.js), null without chips
+      dealerIndex: 0, // rotates who acts first each round
+      recentModifiers: [], // Track recent modifier indices to reduce repeats
+      letterDeck: [],
+      deckIndex: 0,
+      playerSubmissions: new Map(), // visibleId -> submission
+      playerBestWords: new Map(), // visibleId -> best word data
+      timerRemaining: 0,
+      timerInterval: null,
+      timerHalved: false, // Has first submission halved the timer this round?
+      advanceTimeout: null, // auto-advance after results (see scheduleAutoAdvance)
+      autoAdvanceAt: null, // when it fires (clock ms), for clients' countdown
+      revealed: false,
+      roundHistory: [], // Array of round results for end-game summary
+      deleteTimeout: null, // Timeout for deleting empty lobby
+      currentFunFact: null, // Current round's fun fact (for rejoining players)
+      currentFunFactImage: null, // Current round's fun fact image URL (for rejoining players)
+      currentWordDefinitions: null, // Current round's AI word definitions
+    };
+
+    // Add host as first player
+    const host = {
+      visibleId: hostId,
+      sessionToken: generateSessionToken(),
+      name: name || 'Host',
+      dice: [],
+      totalPoints: 0,
+      isHost: true,
+    };
+    lobby.players.set(hostId, host);
+    lobby.playerSockets.set(hostId, connectionId);
+
+    this.lobbies.set(code, lobby);
+    this.resetDeck(lobby);
+    this.lobbyChanged(lobby);
+    logFor(lobby, hostId).info('Lobby created', { name });
+
+    this.send(lobby, hostId, 'lobbyCreated', {
+      lobbyCode: lobby.code,
+      visibleId: hostId,
+      sessionToken: host.sessionToken,
+      state: this.getPlayerState(lobby, hostId),
+    });
+    return { ok: true, lobby, visibleId: hostId, sessionToken: host.sessionToken };
+  }
+
+  // Take a seat, or come back to one (or to watching) with the session token
+  // issued at join: the ID alone is public. Anyone else goes through addPlayer.
+  join(code, { name, existingId, sessionToken, password, connectionId = LOCAL_CONNECTION } = {}) {
+    const lobby = this.getLobby(code);
+    if (!lobby) {
+      logger.info('Lobby join failed: not found', { lobbyCode: normalizeCode(code) });
+      return fail('not_found', `Lobby "${normalizeCode(code)}" not found. The host may need to create a new lobby.`, {
+        hint: this.lobbies.size === 0 ? 'No active lobbies on server - it may have restarted.' : null,
+      });
+    }
+
+    if (isSessionBanned(lobby, sessionToken)) {
+      return fail('banned', 'You have been banned from this lobby', { banned: true });
+    }
+
+    // Returning spectators (reload, reconnect, back to the lobby) keep watching
+    if (existingId && isSessionTokenValid(lobby.spectators.get(existingId)?.sessionToken, sessionToken)) {
+      this.emit('reconnect', lobby, 'spectator');
+      return this.joinAsSpectator(lobby, connectionId, { existingId, sessionToken });
+    }
+
+    const player = existingId && isSessionTokenValid(lobby.players.get(existingId)?.sessionToken, sessionToken)
+      ? lobby.players.get(existingId)
+      : null;
+    if (!player) {
+      return this.addPlayer(lobby.code, { name, password, connectionId });
+    }
+
+    logFor(lobby, existingId).info('Player returning', { name: player.name, status: lobby.status });
+    this.emit('reconnect', lobby, 'player');
+
+    // Clear any pending removal and host transfer, and the disconnected timestamp
+    this.clock.clearTimeout(player.removeTimeout);
+    player.removeTimeout = null;
+    this.clock.clearTimeout(player.hostTransferTimeout);
+    player.hostTransferTimeout = null;
+    player.disconnectedAt = null;
+
+    return this.connectPlayer(lobby, player, connectionId, { isReturning: true });
+  }
+
+  // A new player. Locked lobbies only let people already in them back in, and
+  // mid-game joiners watch until the next round (the result is then a spectator's)
+  addPlayer(code, { name, password, connectionId = LOCAL_CONNECTION } = {}) {
+    const lobby = this.getLobby(code);
+    if (!lobby) return fail('not_found', `Lobby "${normalizeCode(code)}" not found`);
+    if (lobby.locked) return fail('locked', 'The host has locked this lobby');
+    const passwordError = getPasswordError(lobby, password);
+    if (passwordError) return passwordError;
+
+    if (lobby.status !== 'waiting') {
+      if (lobby.settings.lateJoin === 'off') {
+        return fail('in_progress', 'Game already in progress. You can still watch as a spectator.', { canSpectate: true });
+      }
+      return this.joinAsSpectator(lobby, connectionId, { name, wantsToPlay: true });
+    }
+
+    const visibleId = generatePlayerId(this.random);
+    const player = {
+      visibleId,
+      sessionToken: generateSessionToken(),
+      name: name || `Player ${lobby.players.size + 1}`,
+      dice: [],
+      totalPoints: 0,
+      isHost: false,
+    };
+    lobby.players.set(visibleId, player);
+    logFor(lobby, visibleId).info('New player joined', { name: player.name });
+
+    return this.connectPlayer(lobby, player, connectionId);
+  }
+
+  // Bind a seat to its connection and send the player where they belong
+  connectPlayer(lobby, player, connectionId, { isReturning = false } = {}) {
+    const visibleId = player.visibleId;
+    lobby.playerSockets.set(visibleId, connectionId);
+    this.claimVacantHost(lobby, player);
+
+    // Cancel any pending lobby deletion since someone joined
+    if (lobby.deleteTimeout) {
+      this.clock.clearTimeout(lobby.deleteTimeout);
+      lobby.deleteTimeout = null;
+      logFor(lobby).info('Lobby deletion cancelled: player joined');
+    }
+
+    const joinData = {
+      lobbyCode: lobby.code,
+      visibleId,
+      sessionToken: player.sessionToken,
+      state: this.getPlayerState(lobby, visibleId),
+    };
+    if (isReturning && lobby.status === 'playing') {
+      // Player returning mid-game - straight to the game screen (or the results, if revealed)
+      joinData.gameInProgress = true;
+      const roundResults = this.getLastRoundResults(lobby);
+      if (roundResults) {
+        joinData.roundResults = roundResults;
+      }
+      this.send(lobby, visibleId, 'rejoined', joinData);
+    } else {
+      this.send(lobby, visibleId, 'joined', joinData);
+    }
+
+    this.broadcastPlayerList(lobby);
+    this.lobbyChanged(lobby);
+    return { ok: true, lobby, visibleId, sessionToken: player.sessionToken };
+  }
+
+  // Watch a lobby without a seat (any time, even mid-game)
+  spectate(code, { name, existingId, sessionToken, password, connectionId = LOCAL_CONNECTION } = {}) {
+    const lobby = this.getLobby(code);
+    if (!lobby) {
+      return fail('not_found', `Lobby "${normalizeCode(code)}" not found. The host may need to create a new lobby.`);
+    }
+    if (isSessionBanned(lobby, sessionToken)) {
+      return fail('banned', 'You have been banned from this lobby', { banned: true });
+    }
+    const isReturning = existingId && isSessionTokenValid(lobby.spectators.get(existingId)?.sessionToken, sessionToken);
+    if (lobby.locked && !isReturning) {
+      return fail('locked', 'The host has locked this lobby');
+    }
+    const passwordError = !isReturning && getPasswordError(lobby, password);
+    if (passwordError) return passwordError;
+
+    return this.joinAsSpectator(lobby, connectionId, { name, existingId, sessionToken });
+  }
+
+  // Watch a lobby, or pick up watching again after a reconnect (they get 'spectating')
+  joinAsSpectator(lobby, connectionId, { name, existingId, sessionToken, wantsToPlay = false }) {
+    let spectator = existingId ? lobby.spectators.get(existingId) : null;
+    if (spectator && !isSessionTokenValid(spectator.sessionToken, sessionToken)) {
+      spectator = null;
+    }
+    if (spectator) {
+      this.clock.clearTimeout(spectator.removeTimeout);
+      spectator.removeTimeout = null;
+    } else {
+      const spectatorId = generatePlayerId(this.random);
+      spectator = { spectatorId, sessionToken: generateSessionToken(), name: name || 'Spectator', wantsToPlay, removeTimeout: null };
+      lobby.spectators.set(spectatorId, spectator);
+      logFor(lobby, spectatorId).info('Spectator joined', { name: spectator.name, wantsToPlay });
+    }
+
+    lobby.spectatorSockets.set(spectator.spectatorId, connectionId);
+
+    this.send(lobby, spectator.spectatorId, 'spectating', {
+      lobbyCode: lobby.code,
+      spectatorId: spectator.spectatorId,
+      sessionToken: spectator.sessionToken,
+      state: this.getSpectatorState(lobby, spectator.spectatorId),
+      roundResults: this.getLastRoundResults(lobby),
+    });
+    this.broadcastPlayerList(lobby);
+    return { ok: true, lobby, spectatorId: spectator.spectatorId, sessionToken: spectator.sessionToken };
+  }
+
+  // Spectator asks to play (or changes their mind): seated now in the lobby, else next round
+  setWantsToPlay(code, spectatorId, join = true) {
+    const lobby = this.getLobby(code);
+    const spectator = lobby?.spectators.get(spectatorId);
+    if (!spectator) return fail('not_spectating');
+
+    if (join && lobby.status !== 'waiting' && lobby.settings.lateJoin === 'off') {
+      return fail('late_join_off', 'The host has turned off joining mid-game');
+    }
+    spectator.wantsToPlay = join;
+
+    if (join && lobby.status === 'waiting') {
+      const player = this.seatSpectator(lobby, spectatorId);
+      this.send(lobby, player.visibleId, 'joined', {
+        lobbyCode: lobby.code,
+        visibleId: player.visibleId,
+        sessionToken: player.sessionToken,
+        state: this.getPlayerState(lobby, player.visibleId),
+      });
+      this.lobbyChanged(lobby);
+    }
+    this.broadcastPlayerList(lobby);
+    return { ok: true };
+  }
+
+  // Forget a spectator who stays disconnected
+  scheduleSpectatorRemoval(lobby, spectatorId) {
+    const spectator = lobby.spectators.get(spectatorId);
+    if (!spectator) return;
+
+    this.clock.clearTimeout(spectator.removeTimeout);
+    spectator.removeTimeout = this.clock.setTimeout(() => {
+      if (lobby.spectatorSockets.has(spectatorId)) return;
+      lobby.spectators.delete(spectatorId);
+      this.broadcastPlayerList(lobby);
+    }, SPECTATOR_REMOVE_DELAY_MS);
+  }
+
+  // Turn a spectator into a player (their connection moves across with them)
+  seatSpectator(lobby, spectatorId) {
+    const spectator = lobby.spectators.get(spectatorId);
+    if (!spectator) return null;
+
+    const player = {
+      visibleId: spectatorId,
+      sessionToken: spectator.sessionToken,
+      name: spectator.name,
+      dice: [],
+      totalPoints: lobby.status === 'waiting' ? 0 : getCatchUpScore(lobby),
+      isHost: false,
+    };
+    if (lobby.status !== 'waiting' && isBettingEnabled(lobby)) {
+      player.chips = lobby.settings.startingChips;
+    }
+    this.clock.clearTimeout(spectator.removeTimeout);
+    lobby.spectators.delete(spectatorId);
+    lobby.players.set(spectatorId, player);
+
+    const connectionId = lobby.spectatorSockets.get(spectatorId);
+    lobby.spectatorSockets.delete(spectatorId);
+    if (connectionId) {
+      lobby.playerSockets.set(spectatorId, connectionId);
+    }
+
+    logFor(lobby, player.visibleId).info('Took a seat', { name: player.name, totalPoints: player.totalPoints });
+    return player;
+  }
+
+  // Seat every connected spectator who asked to play (round boundaries and back in the lobby)
+  seatLateJoiners(lobby) {
+    if (lobby.status !== 'waiting' && lobby.settings.lateJoin === 'off') return;
+    lobby.spectators.forEach((spectator, spectatorId) => {
+      if (spectator.wantsToPlay && lobby.spectatorSockets.has(spectatorId)) {
+        this.seatSpectator(lobby, spectatorId);
+      }
+    });
+  }
+
+  // Big-screen board: watches a lobby without joining it as a player (the result has its state)
+  addBoard(code, { password, connectionId = LOCAL_CONNECTION } = {}) {
+    const lobby = this.getLobby(code);
+    if (!lobby) return fail('not_found', `Lobby "${normalizeCode(code)}" not found`);
+    const passwordError = getPasswordError(lobby, password);
+    if (passwordError) return passwordError;
+
+    lobby.boardSockets.add(connectionId);
+    logFor(lobby).info('Board connected', { boards: lobby.boardSockets.size });
+    return { ok: true, lobby, state: this.getBoardState(lobby) };
+  }
+
+  removeBoard(code, connectionId) {
+    this.getLobby(code)?.boardSockets.delete(connectionId);
+  }
+
+  // A connection went away: spectators and players keep their place for a while
+  disconnect(code, connectionId) {
+    const { lobby, visibleId, spectatorId } = this.getSeat(code, connectionId);
+    if (!lobby) return;
+
+    if (spectatorId) {
+      lobby.spectatorSockets.delete(spectatorId);
+      this.scheduleSpectatorRemoval(lobby, spectatorId);
+      this.broadcastPlayerList(lobby);
+    }
+
+    const player = visibleId ? lobby.players.get(visibleId) : null;
+    if (!player) return;
+
+    logFor(lobby, visibleId).info('Player disconnected', { name: player.name });
+    // Remove the connection but keep player data for reconnection
+    lobby.playerSockets.delete(visibleId);
+    player.disconnectedAt = this.clock.now();
+
+    // Don't hold up a chip hand waiting on them
+    if (lobby.betting?.toAct === visibleId) {
+      lobby.betting.actionRemaining = Math.min(lobby.betting.actionRemaining, DISCONNECTED_ACTION_SECONDS);
+    }
+
+    // Update player list to show disconnected status
+    this.broadcastPlayerList(lobby);
+
+    // If host disconnects (lobby or mid-game), wait before reassigning
+    if (player.isHost) {
+      this.scheduleHostTransfer(lobby, player);
+    }
+
+    this.schedulePlayerRemoval(lobby, visibleId);
+
+    // Nobody connected: the lobby goes after a grace period
+    if (lobby.playerSockets.size === 0) {
+      this.scheduleLobbyDeletion(lobby);
+    }
+
+    this.lobbyChanged(lobby);
+  }
+
+  // Remove a player who stays disconnected
+  schedulePlayerRemoval(lobby, visibleId) {
+    const player = lobby.players.get(visibleId);
+    if (!player) return;
+
+    this.clock.clearTimeout(player.removeTimeout);
+    player.removeTimeout = this.clock.setTimeout(() => {
+      if (this.lobbies.get(lobby.code) !== lobby || lobby.playerSockets.has(visibleId)) return;
+
+      // Player still disconnected, remove them
+      logFor(lobby, visibleId).info('Removing player disconnected for 2 minutes', { name: player.name });
+      lobby.players.delete(visibleId);
+      if (lobby.betting && !lobby.revealed) {
+        Betting.removePlayer(lobby.betting, visibleId);
+        this.advanceBetting(lobby);
+      }
+      const newHost = player.isHost && pickNewHost(lobby);
+      if (newHost) {
+        this.assignHost(lobby, newHost, 'left');
+      }
+      this.broadcastPlayerList(lobby);
+
+      // If lobby is now empty, delete it
+      if (lobby.players.size === 0) {
+        this.stopTimer(lobby);
+        this.deleteLobby(lobby);
+        logFor(lobby).info('Lobby deleted: no players');
+      } else {
+        this.lobbyChanged(lobby);
+      }
+    }, PLAYER_REMOVE_DELAY_MS);
+  }
+
+  // Delete a lobby if nobody is connected after a grace period
+  scheduleLobbyDeletion(lobby) {
+    this.clock.clearTimeout(lobby.deleteTimeout);
+    logFor(lobby).info('No connected players, deleting in 5 minutes unless someone rejoins');
+
+    lobby.deleteTimeout = this.clock.setTimeout(() => {
+      if (this.lobbies.get(lobby.code) === lobby && lobby.playerSockets.size === 0) {
+        this.stopTimer(lobby);
+        this.deleteLobby(lobby);
+        logFor(lobby).info('Lobby deleted: empty for 5 minutes');
+      }
+    }, LOBBY_DELETE_DELAY_MS);
+  }
+
+  // ==========================================================================
+  // Host Migration and Moderation
+  // ==========================================================================
+
+  // reason: 'transfer' (host's choice), 'disconnect' or 'left'
+  assignHost(lobby, newHost, reason) {
+    const oldHost = getHost(lobby);
+    if (oldHost === newHost) return;
+    if (oldHost) {
+      oldHost.isHost = false;
+      this.clock.clearTimeout(oldHost.hostTransferTimeout);
+      oldHost.hostTransferTimeout = null;
+    }
+    newHost.isHost = true;
+    lobby.hostId = newHost.visibleId;
+    this.logLobbyEvent(lobby, 'hostChanged', { by: oldHost?.name || null, target: newHost.name, reason });
+    logFor(lobby, newHost.visibleId).info('New host', { name: newHost.name, reason });
+
+    this.broadcast(lobby, 'hostChanged', { visibleId: newHost.visibleId, name: newHost.name, reason });
+    this.broadcastPlayerList(lobby);
+    this.lobbyChanged(lobby);
+  }
+
+  // Host dropped: give them time to come back, then move the role on
+  scheduleHostTransfer(lobby, host) {
+    this.clock.clearTimeout(host.hostTransferTimeout);
+    logFor(lobby, host.visibleId).info('Host disconnected, waiting before reassigning', { name: host.name, delaySeconds: HOST_TRANSFER_DELAY_MS / 1000 });
+
+    host.hostTransferTimeout = this.clock.setTimeout(() => {
+      host.hostTransferTimeout = null;
+      if (!host.isHost || lobby.playerSockets.has(host.visibleId)) return;
+      const newHost = pickNewHost(lobby, host.visibleId);
+      if (newHost) this.assignHost(lobby, newHost, 'disconnect');
+    }, HOST_TRANSFER_DELAY_MS);
+  }
+
+  // Nobody connected could take over when the host left: the next human to connect does
+  claimVacantHost(lobby, player) {
+    if (player.isHost || player.isBot) return;
+    const host = getHost(lobby);
+    if (host && (lobby.playerSockets.has(host.visibleId) || host.hostTransferTimeout)) return;
+    this.assignHost(lobby, player, host ? 'disconnect' : 'left');
+  }
+
+  // type: 'kick' | 'ban' | 'lock' | 'unlock' | 'rename' | 'hostChanged'
+  logLobbyEvent(lobby, type, fields = {}) {
+    lobby.eventLog.push({ at: this.clock.now(), type, ...fields });
+    if (lobby.eventLog.length > EVENT_LOG_LIMIT) {
+      lobby.eventLog.splice(0, lobby.eventLog.length - EVENT_LOG_LIMIT);
+    }
+  }
+
+  // Take a player out of the lobby for good: their seat, submission and chip hand
+  removePlayer(lobby, target, { ban = false, by }) {
+    const visibleId = target.visibleId;
+    const message = ban ? 'The host removed you from this lobby and banned you from rejoining' : 'The host removed you from this lobby';
+    this.send(lobby, visibleId, 'kicked', { lobbyCode: lobby.code, banned: ban, message });
+
+    TRANSIENT_PLAYER_KEYS.forEach(key => this.clock.clearTimeout(target[key]));
+    lobby.players.delete(visibleId);
+    lobby.playerSockets.delete(visibleId);
+    lobby.playerSubmissions.delete(visibleId);
+    lobby.playerBestWords.delete(visibleId);
+    if (lobby.betting && !lobby.revealed) {
+      Betting.removePlayer(lobby.betting, visibleId);
+      this.advanceBetting(lobby);
+    }
+    if (ban) lobby.bannedSessions.push(target.sessionToken);
+
+    this.logLobbyEvent(lobby, ban ? 'ban' : 'kick', { by: by.name, target: target.name });
+    logFor(lobby, target.visibleId).info(ban ? 'Player banned' : 'Player kicked', { name: target.name, by: by.name });
+    this.broadcastPlayerList(lobby);
+    this.lobbyChanged(lobby);
+
+    // They may have been the last one the round was waiting on
+    if (lobby.status === 'playing' && lobby.roundNumber > 0 && !lobby.revealed
+        && lobby.playerSubmissions.size === lobby.players.size) {
+      logFor(lobby).info('All remaining players submitted, ending round early', { round: lobby.roundNumber });
+      this.revealResults(lobby);
+    }
+  }
+
+  // Hand the host role to another human player (host only, any time)
+  transferHost(code, playerId, targetId) {
+    const seat = this.getHostSeat(code, playerId);
+    if (!seat) return fail('not_host');
+
+    const target = seat.lobby.players.get(targetId);
+    if (!target || target.isBot || target === seat.player) {
+      return fail('invalid_target', 'Host can only go to another player');
+    }
+    this.assignHost(seat.lobby, target, 'transfer');
+    return { ok: true };
+  }
+
+  // Remove a player, optionally banning their session from this lobby (host only, any time)
+  kickPlayer(code, playerId, targetId, { ban = false } = {}) {
+    const seat = this.getHostSeat(code, playerId);
+    if (!seat) return fail('not_host');
+
+    const target = seat.lobby.players.get(targetId);
+    if (!target || target.isBot || target === seat.player) {
+      return fail('invalid_target', 'You can only remove another player');
+    }
+    this.removePlayer(seat.lobby, target, { ban: ban === true, by: seat.player });
+    return { ok: true };
+  }
+
+  // Close (or reopen) the lobby to new players and spectators (host only)
+  setLocked(code, playerId, locked) {
+    const seat = this.getHostSeat(code, playerId);
+    if (!seat) return fail('not_host');
+    const { lobby, player } = seat;
+
+    locked = locked === true;
+    if (lobby.locked === locked) return { ok: true };
+    lobby.locked = locked;
+    this.logLobbyEvent(lobby, locked ? 'lock' : 'unlock', { by: player.name });
+    logFor(lobby, player.visibleId).info(locked ? 'Lobby locked' : 'Lobby unlocked', { by: player.name });
+
+    this.broadcast(lobby, 'lockChanged', { locked, by: player.name });
+    this.broadcastPlayerList(lobby);
+    this.lobbyChanged(lobby);
+    return { ok: true };
+  }
+
+  // Force a new name on a player (host only)
+  renamePlayer(code, playerId, targetId, name) {
+    const seat = this.getHostSeat(code, playerId);
+    if (!seat) return fail('not_host');
+    const { lobby, player } = seat;
+
+    const target = lobby.players.get(targetId);
+    name = typeof name === 'string' ? name.trim().substring(0, 20) : '';
+    if (!target || target.isBot || !name) {
+      return fail('invalid_target', 'Pick a player and a new name');
+    }
+    if (name === target.name) return { ok: true };
+
+    this.logLobbyEvent(lobby, 'rename', { by: player.name, target: target.name, name });
+    logFor(lobby, target.visibleId).info('Player renamed', { from: target.name, to: name, by: player.name });
+    target.name = name;
+
+    this.send(lobby, target.visibleId, 'renamed', { name, message: `The host renamed you to ${name}` });
+    this.broadcastPlayerList(lobby);
+    this.lobbyChanged(lobby);
+    return { ok: true };
+  }
+
+  // The lobby's moderation log (host only)
+  getEventLog(code, playerId) {
+    const seat = this.getHostSeat(code, playerId);
+    if (!seat) return fail('not_host');
+    return { ok: true, events: seat.lobby.eventLog };
+  }
+
+  // Update lobby settings (host only). A password lobby without a password is
+  // refused with a 'settingsError' to the host; the other settings still apply.
+  updateSettings(code, playerId, data = {}) {
+    const seat = this.getHostSeat(code, playerId);
+    if (!seat) return fail('not_host');
+    const { lobby } = seat;
+
+    if (data.totalRounds) {
+      lobby.settings.totalRounds = Math.min(20, Math.max(3, data.totalRounds));
+    }
+    if (data.timerDuration) {
+      const maxTimer = getMaxTimer(lobby.players.size);
+      lobby.settings.timerDuration = Math.min(maxTimer, Math.max(30, data.timerDuration));
+    }
+    if (LATE_JOIN_MODES.includes(data.lateJoin)) {
+      lobby.settings.lateJoin = data.lateJoin;
+    }
+    // Takes effect from the next results screen
+    if (data.autoAdvance !== undefined) {
+      lobby.settings.autoAdvance = normalizeAutoAdvance(data.autoAdvance);
+    }
+    // Password lobbies need a password the first time (a new one replaces it)
+    if (VISIBILITY_MODES.includes(data.visibility)) {
+      const password = typeof data.password === 'string' ? data.password.trim().substring(0, LOBBY_PASSWORD_MAX_LENGTH) : '';
+      if (data.visibility !== 'password') {
+        lobby.passwordHash = null;
+        lobby.settings.visibility = data.visibility;
+      } else if (password) {
+        lobby.passwordHash = hashLobbyPassword(password);
+        lobby.settings.visibility = 'password';
+      } else if (!lobby.passwordHash) {
+        this.send(lobby, playerId, 'settingsError', { message: 'Choose a password for the lobby' });
+      }
+    }
+    // Language, word list, seed, round mode and chips can't change mid-game: dice, submissions and best words already used them
+    if (lobby.status === 'waiting') {
+      if (data.language && data.language !== lobby.settings.language && this.dictionaries.defaultFor(data.language)) {
+        lobby.settings.language = data.language;
+        lobby.settings.dictionaryId = this.dictionaries.defaultFor(data.language);
+        this.resetDeck(lobby);
+      }
+      if (data.dictionaryId && this.dictionaries.get(data.dictionaryId)?.language === lobby.settings.language) {
+        lobby.settings.dictionaryId = data.dictionaryId;
+      }
+      if (data.seed !== undefined) {
+        lobby.settings.seed = Random.normalizeSeed(data.seed);
+      }
+      if (ROUND_MODES.includes(data.roundMode)) {
+        lobby.settings.roundMode = data.roundMode;
+      }
+      if (data.revealInterval !== undefined) {
+        lobby.settings.revealInterval = normalizeRevealInterval(data.revealInterval);
+      }
+      // Chips need staged rounds: turning betting on switches to staged, classic turns it off
+      if (typeof data.betting === 'boolean') {
+        lobby.settings.betting = data.betting;
+        if (data.betting) lobby.settings.roundMode = 'staged';
+      }
+      ['startingChips', 'ante'].forEach(key => {
+        if (data[key] !== undefined) lobby.settings[key] = data[key];
+      });
+      normalizeChipSettings(lobby.settings);
+    }
+
+    this.broadcast(lobby, 'settingsUpdated', lobby.settings);
+    this.lobbyChanged(lobby);
+    return { ok: true, settings: lobby.settings };
+  }
+
+  // Add AI player (host only, before the game)
+  addBot(code, playerId, { difficulty, name, retries } = {}) {
+    const seat = this.getHostSeat(code, playerId);
+    if (!seat) return fail('not_host');
+    const { lobby } = seat;
+
+    if (lobby.status !== 'waiting') {
+      return fail('in_progress', 'Cannot add AI during game');
+    }
+
+    const botId = 'bot_' + this.random().toString(36).substr(2, 6);
+
+    // Validate difficulty (default to 'hard' for backwards compatibility)
+    difficulty = ['easy', 'hard'].includes(difficulty) ? difficulty : 'hard';
+    const difficultyEmoji = difficulty === 'easy' ? '🌱' : '🔥';
+
+    // Pick a random unused bot name
+    const usedNames = new Set(
+      Array.from(lobby.players.values())
+        .filter(p => p.isBot)
+        .map(p => p.name)
+    );
+    const availableNames = BOT_NAMES.filter(n => !usedNames.has(`🤖 ${n} ${difficultyEmoji}`));
+    const botName = availableNames.length > 0
+      ? `🤖 ${availableNames[Math.floor(this.random() * availableNames.length)]} ${difficultyEmoji}`
+      : `🤖 Bot ${usedNames.size + 1} ${difficultyEmoji}`;
+
+    const defaultRetries = difficulty === 'easy' ? 20 : 10;
+
+    lobby.players.set(botId, {
+      visibleId: botId,
+      name: name || botName,
+      dice: [],
+      totalPoints: 0,
+      isHost: false,
+      isBot: true,
+      botDifficulty: difficulty,
+      botRetries: Number.isFinite(Number(retries)) ? Number(retries) : defaultRetries,
+    });
+
+    logFor(lobby, botId).info('Bot added', { difficulty });
+    this.broadcastPlayerList(lobby);
+    this.lobbyChanged(lobby);
+    return { ok: true, visibleId: botId };
+  }
+
+  // Remove AI player (host only, before the game)
+  removeBot(code, playerId, botId) {
+    const seat = this.getHostSeat(code, playerId);
+    if (!seat) return fail('not_host');
+    const { lobby } = seat;
+
+    const bot = lobby.players.get(botId);
+    if (!bot?.isBot) return fail('not_a_bot');
+
+    if (lobby.status !== 'waiting') {
+      return fail('in_progress', 'Cannot remove AI during game');
+    }
+
+    this.clock.clearTimeout(bot.botTimeout);
+    this.clock.clearTimeout(bot.botBetTimeout);
+    lobby.players.delete(botId);
+    logFor(lobby, botId).info('Bot removed');
+    this.broadcastPlayerList(lobby);
+    this.lobbyChanged(lobby);
+    return { ok: true };
+  }
+
+  // ==========================================================================
+  // Game Flow
+  // ==========================================================================
+
+  // Start the game (host only): a countdown, then round 1
+  startGame(code, playerId) {
+    const lobby = this.getLobby(code);
+    if (!lobby) return fail('not_found');
+
+    const player = lobby.players.get(playerId);
+    if (!player?.isHost) return fail('not_host', 'Only the host can start the game');
+
+    if (lobby.players.size < 1) return fail('no_players', 'Need at least 1 player to start');
+
+    lobby.status = 'playing';
+    lobby.roundNumber = 0;
+    this.seedLobby(lobby);
+
+    // Reset all player points (and chip stacks when betting)
+    lobby.players.forEach(p => {
+      p.totalPoints = 0;
+      p.chips = isBettingEnabled(lobby) ? lobby.settings.startingChips : null;
+    });
+    lobby.dealerIndex = 0;
+
+    logFor(lobby).info('Game starting', { players: lobby.players.size, seed: lobby.seed });
+    this.emit('gameStarted', lobby);
+    this.lobbyChanged(lobby);
+
+    this.broadcast(lobby, 'gameStarting', {
+      totalRounds: lobby.settings.totalRounds,
+    });
+
+    // Start first round after countdown (3, 2, 1, GO! at 800ms each)
+    this.clock.setTimeout(() => {
+      this.startNewRound(lobby);
+      this.broadcastNewRound(lobby);
+    }, 3500);
+    return { ok: true };
+  }
+
+  // Deal the next round (host only, after results shown)
+  nextRound(code, playerId) {
+    const seat = this.getHostSeat(code, playerId);
+    if (!seat) return fail('not_host');
+    const { lobby } = seat;
+
+    if (lobby.status !== 'playing') return fail('not_playing');
+    if (!lobby.revealed) return fail('round_in_progress'); // Must reveal first
+    if (lobby.roundNumber >= lobby.settings.totalRounds) return fail('game_over');
+
+    this.advanceToNextRound(lobby);
+    return { ok: true };
+  }
+
+  // Final standings (host only, after the last round)
+  showFinalResults(code, playerId) {
+    const seat = this.getHostSeat(code, playerId);
+    if (!seat) return fail('not_host');
+    const { lobby } = seat;
+
+    if (lobby.roundNumber < lobby.settings.totalRounds) return fail('not_last_round');
+    if (lobby.status === 'finished') return fail('already_finished');
+
+    this.finishGame(lobby);
+    return { ok: true };
+  }
+
+  // End the game early (host only)
+  endGame(code, playerId) {
+    const seat = this.getHostSeat(code, playerId);
+    if (!seat) return fail('not_host');
+    const { lobby, player } = seat;
+
+    if (lobby.status !== 'playing') return fail('not_playing');
+
+    logFor(lobby, player.visibleId).info('Host ending game early');
+    this.returnToLobby(lobby);
+    return { ok: true };
+  }
+
+  // Play again (host only, after game over)
+  playAgain(code, playerId) {
+    const seat = this.getHostSeat(code, playerId);
+    if (!seat) return fail('not_host');
+    const { lobby } = seat;
+
+    if (lobby.status !== 'finished') return fail('not_finished');
+
+    this.returnToLobby(lobby);
+    logFor(lobby).info('Lobby reset for a new game');
+    return { ok: true };
+  }
+
+  // Start a new round in a lobby
+  startNewRound(lobby) {
+    this.cancelAutoAdvance(lobby);
+    this.seatLateJoiners(lobby);
+    lobby.roundNumber++;
+    lobby.communityDice = this.rollCommunityDice(lobby);
+    lobby.revealedCount = lobby.settings.roundMode === 'staged' ? FLOP_SIZE : lobby.communityDice.length;
+    lobby.roundElapsed = 0;
+    lobby.streetStartedAt = 0;
+    lobby.modifier = rollModifier(lobby);
+    lobby.playerSubmissions.clear();
+    lobby.playerBestWords.clear();
+    lobby.revealed = false;
+    lobby.currentFunFact = null;
+    lobby.currentFunFactImage = null;
+    lobby.currentWordDefinitions = null;
+    lobby.timerRemaining = lobby.settings.timerDuration;
+    lobby.timerHalved = false;
+
+    // Roll new dice for all players
+    lobby.players.forEach(player => {
+      player.dice = this.rollPlayerDice(lobby);
+      player.hasRerolled = false;
+    });
+
+    this.startBettingHand(lobby);
+    this.promptBettor(lobby);
+
+    this.startTimer(lobby);
+
+    // Schedule bot submissions
+    lobby.players.forEach(player => {
+      if (player.isBot) {
+        this.scheduleBotSubmission(lobby, player);
+      }
+    });
+
+    this.emit('roundStarted', lobby);
+    this.lobbyChanged(lobby);
+    return lobby;
+  }
+
+  // Start timer for a lobby (remaining defaults to a full round; restored lobbies resume mid-round)
+  startTimer(lobby, remaining = lobby.settings.timerDuration) {
+    this.stopTimer(lobby);
+    lobby.timerRemaining = remaining;
+    lobby.timerInterval = this.clock.setInterval(() => this.tickRound(lobby), 1000);
+  }
+
+  // Stop timer for a lobby
+  stopTimer(lobby) {
+    if (lobby.timerInterval) {
+      this.clock.clearInterval(lobby.timerInterval);
+      lobby.timerInterval = null;
+    }
+  }
+
+  // One second of a round: count down (paused while betting holds a street),
+  // deal due streets, reveal at zero
+  tickRound(lobby) {
+    if (!isStreetBettingOpen(lobby)) {
+      lobby.timerRemaining--;
+      lobby.roundElapsed++;
+    }
+    this.tickBetting(lobby);
+    this.revealDueStreets(lobby);
+
+    this.broadcast(lobby, 'timerUpdate', {
+      remaining: lobby.timerRemaining,
+      total: lobby.settings.timerDuration,
+      nextRevealIn: getNextRevealIn(lobby),
+      betActionRemaining: lobby.betting?.toAct ? lobby.betting.actionRemaining : null,
+    });
+
+    if (lobby.timerRemaining <= 0) {
+      this.stopTimer(lobby);
+      // Auto-reveal when timer ends
+      this.revealResults(lobby);
+    }
+  }
+
+  // Run a second of the round now, for front ends that keep time themselves
+  tick(code) {
+    const lobby = this.getLobby(code);
+    if (!lobby?.timerInterval) return fail('no_round');
+    this.tickRound(lobby);
+    return { ok: true, remaining: lobby.timerRemaining };
+  }
+
+  // Deal players their own view of the new round, and spectators and boards the public one
+  broadcastNewRound(lobby) {
+    lobby.players.forEach((_, visibleId) => {
+      if (lobby.playerSockets.has(visibleId)) {
+        this.send(lobby, visibleId, 'newRound', this.getPlayerState(lobby, visibleId));
+      }
+    });
+    lobby.spectatorSockets.forEach((_, spectatorId) => {
+      this.send(lobby, spectatorId, 'newRound', this.getSpectatorState(lobby, spectatorId));
+    });
+    if (lobby.boardSockets.size > 0) {
+      this.emit('boards', lobby, 'boardState', this.getBoardState(lobby));
+    }
+  }
+
+  // Deal the next round (host's Next Round or auto-advance)
+  advanceToNextRound(lobby) {
+    this.startNewRound(lobby);
+    this.broadcastNewRound(lobby);
+    logFor(lobby).info('Round started', { round: lobby.roundNumber });
+  }
+
+  // Final standings after the last round (host's See Final Results or auto-advance)
+  finishGame(lobby) {
+    this.cancelAutoAdvance(lobby);
+    lobby.status = 'finished';
+
+    // Get final standings
+    const standings = Array.from(lobby.players.values())
+      .map(p => ({
+        visibleId: p.visibleId,
+        name: p.name,
+        totalPoints: p.totalPoints,
+        chips: typeof p.chips === 'number' ? p.chips : null,
+        isHost: p.isHost,
+      }))
+      .sort((a, b) => b.totalPoints - a.totalPoints);
+
+    applyAverageToStandings(lobby, standings);
+
+    // Broadcast final results with round history
+    this.broadcast(lobby, 'finalResults', {
+      winner: standings[0],
+      standings,
+      roundHistory: lobby.roundHistory,
+      totalRounds: lobby.settings.totalRounds,
+    });
+
+    this.emit('gameFinished', lobby, standings);
+    this.lobbyChanged(lobby);
+    logFor(lobby).info('Game finished', { winner: standings[0]?.name });
+  }
+
+  // Back to the waiting room with scores cleared (End Game, Play Again, or an operator's force-end)
+  returnToLobby(lobby) {
+    this.stopTimer(lobby);
+    this.cancelAutoAdvance(lobby);
+
+    // Reset game state
+    lobby.status = 'waiting';
+    lobby.roundNumber = 0;
+    lobby.communityDice = [];
+    lobby.revealedCount = 0;
+    lobby.modifier = null;
+    lobby.betting = null;
+    lobby.playerSubmissions.clear();
+    lobby.playerBestWords.clear();
+    lobby.revealed = false;
+    lobby.roundHistory = [];
+    this.resetDeck(lobby);
+
+    // Reset all player points and dice
+    lobby.players.forEach(p => {
+      p.totalPoints = 0;
+      p.chips = null;
+      p.dice = [];
+    });
+    // Spectators waiting for a seat get one for the next game
+    this.seatLateJoiners(lobby);
+
+    this.broadcast(lobby, 'returnToLobby', {
+      lobbyCode: lobby.code,
+    });
+
+    this.broadcastPlayerList(lobby);
+    this.lobbyChanged(lobby);
+  }
+
+  scheduleAutoAdvance(lobby) {
+    this.cancelAutoAdvance(lobby);
+    const seconds = lobby.settings.autoAdvance;
+    if (!seconds || lobby.status !== 'playing' || !lobby.revealed) return;
+
+    lobby.autoAdvanceAt = this.clock.now() + seconds * 1000;
+    lobby.advanceTimeout = this.clock.setTimeout(() => {
+      lobby.advanceTimeout = null;
+      lobby.autoAdvanceAt = null;
+      if (!this.lobbies.has(lobby.code) || lobby.status !== 'playing' || !lobby.revealed) return;
+      logFor(lobby).info('Auto-advancing', { round: lobby.roundNumber });
+      if (lobby.roundNumber >= lobby.settings.totalRounds) {
+        this.finishGame(lobby);
+      } else {
+        this.advanceToNextRound(lobby);
+      }
+    }, seconds * 1000);
+  }
+
+  cancelAutoAdvance(lobby) {
+    this.clock.clearTimeout(lobby.advanceTimeout);
+    lobby.advanceTimeout = null;
+    lobby.autoAdvanceAt = null;
+  }
+
+  // Seconds until auto-advance (null when the host has to move on)
+  getAutoAdvanceIn(lobby) {
+    return lobby.autoAdvanceAt ? Math.max(0, Math.ceil((lobby.autoAdvanceAt - this.clock.now()) / 1000)) : null;
+  }
+
+  // ==========================================================================
+  // Staged Rounds
+  // ==========================================================================
+
+  // Called every timer tick (and after bets): deal the next street when it's due
+  revealDueStreets(lobby) {
+    while (!isBoardComplete(lobby) && getNextRevealIn(lobby) === 0) {
+      this.revealNextStreet(lobby);
+    }
+  }
+
+  revealNextStreet(lobby) {
+    const dieIndex = lobby.revealedCount;
+    lobby.revealedCount++;
+    lobby.streetStartedAt = lobby.roundElapsed;
+    const street = getStreetName(lobby);
+    logFor(lobby).info('Community die revealed', { round: lobby.roundNumber, street, letter: lobby.communityDice[dieIndex].letter });
+    if (lobby.betting) {
+      Betting.startStreet(lobby.betting, street);
+    }
+
+    this.broadcast(lobby, 'communityReveal', {
+      roundNumber: lobby.roundNumber,
+      street,
+      dieIndex,
+      die: lobby.communityDice[dieIndex],
+      communityDice: getVisibleCommunityDice(lobby),
+      modifier: getVisibleModifier(lobby),
+      speedBonus: getSpeedBonus(lobby),
+      nextRevealIn: getNextRevealIn(lobby),
+    });
+    this.lobbyChanged(lobby);
+  }
+
+  // ==========================================================================
+  // Chip Betting
+  // ==========================================================================
+
+  startBettingHand(lobby) {
+    lobby.betting = null;
+    if (!isBettingEnabled(lobby)) return;
+
+    lobby.players.forEach(player => {
+      if (typeof player.chips !== 'number') player.chips = lobby.settings.startingChips;
+    });
+    const betting = Betting.startHand({
+      players: getBettingOrder(lobby).map(id => ({ id, stack: lobby.players.get(id).chips })),
+      ante: lobby.settings.ante,
+      minBet: Math.max(1, lobby.settings.ante),
+    });
+    betting.startStacks = Object.fromEntries(Array.from(lobby.players.values()).map(p => [p.visibleId, p.chips]));
+    betting.actionRemaining = 0;
+    lobby.betting = betting;
+    lobby.dealerIndex = (lobby.dealerIndex + 1) % Math.max(1, lobby.players.size);
+
+    Betting.startStreet(betting, getStreetName(lobby));
+    syncChips(lobby);
+  }
+
+  broadcastBetting(lobby) {
+    this.broadcast(lobby, 'bettingUpdate', { roundNumber: lobby.roundNumber, betting: getBettingView(lobby) });
+  }
+
+  // Start the clock for whoever is to act (bots decide after a short pause)
+  promptBettor(lobby) {
+    const betting = lobby.betting;
+    if (!betting || lobby.revealed || betting.streetClosed || !betting.toAct) return;
+
+    const player = lobby.players.get(betting.toAct);
+    if (!player) {
+      // Left the lobby since the hand started
+      Betting.removePlayer(betting, betting.toAct);
+      this.advanceBetting(lobby);
+      return;
+    }
+
+    const isConnected = player.isBot || lobby.playerSockets.has(player.visibleId);
+    betting.actionRemaining = isConnected ? BET_ACTION_SECONDS : DISCONNECTED_ACTION_SECONDS;
+    if (player.isBot) {
+      this.scheduleBotBet(lobby, player);
+    }
+  }
+
+  // Check, bet, call, raise or fold (only when it's your turn)
+  betAction(code, playerId, { action, amount } = {}) {
+    const lobby = this.getLobby(code);
+    if (!lobby?.betting || lobby.revealed) return fail('no_hand');
+    if (!lobby.players.has(playerId)) return fail('not_in_lobby');
+
+    const result = this.handleBetAction(lobby, playerId, { action, amount });
+    if (!result.ok) return fail(result.error, BET_ERROR_MESSAGES[result.error] || 'Bet rejected');
+    return { ok: true };
+  }
+
+  // Apply an action (player, bot or timeout). Returns { ok } or { ok: false, error }.
+  handleBetAction(lobby, visibleId, action) {
+    const result = Betting.applyAction(lobby.betting, visibleId, action);
+    if (!result.ok) return result;
+
+    const player = lobby.players.get(visibleId);
+    const seat = Betting.getSeat(lobby.betting, visibleId);
+    logFor(lobby, visibleId).info('Bet action', {
+      name: player?.name,
+      street: lobby.betting.street,
+      action: action.action,
+      streetBet: seat.streetBet || undefined,
+      allIn: seat.allIn || undefined,
+    });
+
+    syncChips(lobby);
+    this.advanceBetting(lobby);
+    return result;
+  }
+
+  // After an action: deal the next street if this one is done, then prompt and broadcast
+  advanceBetting(lobby) {
+    this.revealDueStreets(lobby);
+    this.promptBettor(lobby);
+    this.broadcastBetting(lobby);
+    this.broadcastPlayerList(lobby);
+    this.lobbyChanged(lobby);
+  }
+
+  // Every timer tick: count down the player to act, acting for them at zero
+  tickBetting(lobby) {
+    const betting = lobby.betting;
+    if (!betting || betting.streetClosed || !betting.toAct) return;
+
+    betting.actionRemaining--;
+    if (betting.actionRemaining > 0) return;
+
+    const visibleId = betting.toAct;
+    const action = Betting.timeoutAction(betting, visibleId);
+    logFor(lobby, visibleId).info('Ran out of time to bet', { name: lobby.players.get(visibleId)?.name });
+    this.handleBetAction(lobby, visibleId, action);
+  }
+
+  scheduleBotBet(lobby, botPlayer) {
+    this.clock.clearTimeout(botPlayer.botBetTimeout);
+
+    const { roundNumber } = lobby;
+    const betting = lobby.betting;
+    const street = betting.street;
+    const random = Random.createRandom(`${lobby.seed}:${roundNumber}:${street}:${botPlayer.visibleId}:${betting.currentBet}`);
+    const [minDelay, maxDelay] = BOT_BET_DELAY_MS;
+
+    botPlayer.botBetTimeout = this.clock.setTimeout(() => {
+      botPlayer.botBetTimeout = null;
+      if (this.lobbies.get(lobby.code) !== lobby || lobby.roundNumber !== roundNumber || lobby.revealed) return;
+      if (lobby.betting !== betting || betting.street !== street || betting.toAct !== botPlayer.visibleId) return;
+
+      const hand = WordSolver.findBestWord(this.getLobbyDictionary(lobby).trie, getVisibleCommunityDice(lobby),
+        botPlayer.dice, getVisibleModifier(lobby), this.getScoringOptions(lobby));
+      const action = BotEngine.chooseBetAction({
+        profile: BotEngine.getBotProfile(botPlayer.botDifficulty),
+        handScore: hand.score,
+        legal: Betting.legalActions(betting, botPlayer.visibleId),
+        pot: Betting.getPot(betting),
+        random,
+      });
+      const result = this.handleBetAction(lobby, botPlayer.visibleId, action);
+      if (!result.ok) {
+        logFor(lobby, botPlayer.visibleId).error('Bot bet rejected, folding', { name: botPlayer.name, reason: result.error });
+        this.handleBetAction(lobby, botPlayer.visibleId, Betting.timeoutAction(betting, botPlayer.visibleId));
+      }
+    }, minDelay + random() * (maxDelay - minDelay));
+  }
+
+  // ==========================================================================
+  // Results
+  // ==========================================================================
+
+  // Reveal results for a round. Listeners of 'roundRevealed' get the placements
+  // (e.g. server.js asks an LLM for a fun fact about the words).
+  revealResults(lobby) {
+    if (lobby.revealed) return;
+
+    this.stopTimer(lobby);
+    lobby.revealed = true;
+    lobby.revealedCount = lobby.communityDice.length; // Results show the whole board
+
+    const results = calculatePlacements(lobby);
+    // Chip games: the same word scores decide the pot(s)
+    const showdown = settleBetting(lobby, results);
+    const resultsWithBest = results.map(r => {
+      const submittedScore = typeof r.score === 'number' ? r.score : 0;
+      return {
+        ...r,
+        ...buildBestWordPayload(lobby, r.visibleId, submittedScore),
+        ...(showdown?.chips[r.visibleId] || {}),
+      };
+    });
+
+    // Get updated standings
+    const standings = Array.from(lobby.players.values())
+      .map(p => ({
+        visibleId: p.visibleId,
+        name: p.name,
+        totalPoints: p.totalPoints,
+        chips: typeof p.chips === 'number' ? p.chips : null,
+        isHost: p.isHost,
+      }))
+      .sort((a, b) => b.totalPoints - a.totalPoints);
+
+    // Capture standings snapshot after points are awarded
+    const standingsSnapshot = Array.from(lobby.players.values())
+      .map(p => ({
+        visibleId: p.visibleId,
+        name: p.name,
+        totalPoints: p.totalPoints,
+        chips: typeof p.chips === 'number' ? p.chips : null,
+      }))
+      .sort((a, b) => b.totalPoints - a.totalPoints);
+
+    // Store round in history with full details
+    lobby.roundHistory.push({
+      roundNumber: lobby.roundNumber,
+      seed: lobby.seed, // replaying this seed (with the same re-rolls) deals this round again
+      results: resultsWithBest.map(r => {
+        // Get player's dice letters from their submission
+        const submission = lobby.playerSubmissions.get(r.visibleId);
+        const player = lobby.players.get(r.visibleId);
+        const playerLetters = submission?.playerLetters || player?.dice?.map(d => d.letter).join('') || '';
+
+        return {
+          visibleId: r.visibleId,
+          name: r.name,
+          word: r.word || '—',
+          score: r.score || 0,
+          place: r.place,
+          pointsEarned: r.pointsEarned || 0,
+          isInvalid: r.isInvalid,
+          noSubmission: r.noSubmission,
+          playerLetters, // Include the player's dice letters
+          bestWord: r.bestWord || null,
+          bestScore: typeof r.bestScore === 'number' ? r.bestScore : null,
+          bestPercent: typeof r.bestPercent === 'number' ? r.bestPercent : null,
+          chips: typeof r.chips === 'number' ? r.chips : null,
+          chipsDelta: typeof r.chipsDelta === 'number' ? r.chipsDelta : null,
+        };
+      }),
+      pots: showdown?.pots || null, // Chip games: [{ amount, winners, winnerNames }]
+      standings: standingsSnapshot, // Running totals after this round
+      communityDice: lobby.communityDice.map(d => d.letter), // Keep as array for visual display
+      modifier: lobby.modifier, // Store full modifier object (includes dieIndex, name, desc)
+    });
+
+    // Attach average optimal % to standings (now that round history is updated)
+    applyAverageToStandings(lobby, standings);
+    applyAverageToStandings(lobby, standingsSnapshot);
+    this.lobbyChanged(lobby);
+
+    // Check if this is the last round (but don't end game yet - wait for host to view final results)
+    const isLastRound = lobby.roundNumber >= lobby.settings.totalRounds;
+    this.scheduleAutoAdvance(lobby);
+
+    // Broadcast results immediately (fun fact will follow)
+    this.broadcast(lobby, 'roundResults', {
+      roundNumber: lobby.roundNumber,
+      totalRounds: lobby.settings.totalRounds,
+      results: resultsWithBest,
+      standings,
+      pots: showdown?.pots || null,
+      isLastRound,
+      autoAdvanceIn: this.getAutoAdvanceIn(lobby),
+      funFact: null, // Will be sent separately
+    });
+
+    // Compute optimal words for bots (players send their own)
+    lobby.players.forEach((player) => {
+      if (player.isBot) {
+        this.scheduleBestWordForBot(lobby, player);
+      }
+    });
+
+    // Log detailed results including validity
+    logFor(lobby).info('Round results', {
+      round: lobby.roundNumber,
+      results: results.map(r => ({
+        playerId: r.visibleId,
+        name: r.name,
+        word: r.word,
+        score: r.score,
+        valid: !r.isInvalid,
+        noSubmission: !!r.noSubmission,
+      })),
+    });
+
+    this.emit('roundRevealed', lobby, results);
+  }
+
+  // The last round's results as sent at reveal (for rejoining players and boards)
+  getLastRoundResults(lobby) {
+    if (!lobby.revealed || lobby.roundHistory.length === 0) return null;
+    const lastRound = lobby.roundHistory[lobby.roundHistory.length - 1];
+    return {
+      roundNumber: lastRound.roundNumber,
+      totalRounds: lobby.settings.totalRounds,
+      results: lastRound.results,
+      standings: lastRound.standings,
+      pots: lastRound.pots || null,
+      isLastRound: lobby.roundNumber >= lobby.settings.totalRounds,
+      autoAdvanceIn: this.getAutoAdvanceIn(lobby),
+      funFact: lobby.currentFunFact,
+      funFactImage: lobby.currentFunFactImage,
+      wordDefinitions: lobby.currentWordDefinitions,
+    };
+  }
+
+  // ==========================================================================
+  // Best Words
+  // ==========================================================================
+
+  // The solver's best word for a player's dice on the whole board ('bestWordComputed' has how long it took)
+  computeBestWordForPlayer(lobby, player) {
+    const startedAt = process.hrtime.bigint();
+    const best = WordSolver.findBestWord(this.getLobbyDictionary(lobby).trie, lobby.communityDice, player?.dice, lobby.modifier, this.getScoringOptions(lobby));
+    this.emit('bestWordComputed', Number(process.hrtime.bigint() - startedAt) / 1e9);
+    return best;
+  }
+
+  // Solved off the reveal's call stack so the results go out first
+  scheduleBestWordForBot(lobby, botPlayer) {
+    if (!botPlayer?.isBot) return;
+    if (lobby.playerBestWords.has(botPlayer.visibleId)) return;
+
+    this.clock.setTimeout(() => {
+      try {
+        const result = this.computeBestWordForPlayer(lobby, botPlayer);
+        lobby.playerBestWords.set(botPlayer.visibleId, { word: result.word, score: result.score });
+        this.lobbyChanged(lobby);
+
+        if (lobby.revealed) {
+          this.broadcastBestWord(lobby, botPlayer.visibleId);
+        }
+      } catch (err) {
+        logFor(lobby, botPlayer?.visibleId).error('Best word computation failed for bot', { bot: botPlayer?.name, err });
+      }
+    }, 0);
+  }
+
+  // A best word that arrived after the reveal: fill in the round history and tell everyone
+  broadcastBestWord(lobby, visibleId) {
+    const submittedScore = lobby.playerSubmissions.get(visibleId)?.score || 0;
+    const bestPayload = buildBestWordPayload(lobby, visibleId, submittedScore);
+
+    const currentRound = lobby.roundHistory.find(r => r.roundNumber === lobby.roundNumber);
+    if (currentRound) {
+      const entry = currentRound.results.find(r => r.visibleId === visibleId);
+      if (entry) {
+        entry.bestWord = bestPayload.bestWord;
+        entry.bestScore = bestPayload.bestScore;
+        entry.bestPercent = bestPayload.bestPercent;
+      }
+
+      const standingEntry = currentRound.standings?.find(s => s.visibleId === visibleId);
+      if (standingEntry) {
+        standingEntry.avgOptimal = computeAverageOptimal(lobby, visibleId);
+      }
+    }
+
+    this.broadcast(lobby, 'bestWordUpdate', {
+      roundNumber: lobby.roundNumber,
+      visibleId,
+      ...bestPayload,
+      avgOptimal: computeAverageOptimal(lobby, visibleId),
+    });
+  }
+
+  // A player's best possible word for the round, found by their client's solver
+  reportBestWord(code, playerId, { roundNumber, word, score } = {}) {
+    const lobby = this.getLobby(code);
+    if (!lobby?.players.has(playerId)) return fail('not_in_lobby');
+    if (!roundNumber || Number(roundNumber) !== lobby.roundNumber) return fail('wrong_round');
+
+    word = typeof word === 'string' ? word.toUpperCase() : '';
+    score = typeof score === 'number' ? score : 0;
+
+    // Only upgrade best word, never downgrade (supports pre/post-reroll max)
+    const existing = lobby.playerBestWords.get(playerId);
+    if (!word || score <= 0) {
+      if (!existing) {
+        lobby.playerBestWords.set(playerId, { word: null, score: 0 });
+      }
+    } else if (!existing || score > existing.score) {
+      lobby.playerBestWords.set(playerId, { word, score });
+    } else {
+      return { ok: true }; // Existing best is already better, skip broadcast
+    }
+    this.lobbyChanged(lobby);
+
+    if (lobby.revealed) {
+      this.broadcastBestWord(lobby, playerId);
+    }
+    return { ok: true };
+  }
+
+  // ==========================================================================
+  // Submissions
+  // ==========================================================================
+
+  // Rebuild a word from ordered tile ids and score it server-side.
+  // Used for both human and bot submissions so clients can't claim arbitrary scores.
+  // expectedWord is optional: when given, the tiles must spell exactly that word.
+  // Failures return { isValid: false, code, reason } where code is a stable identifier
+  // for clients and reason is human-readable (also fed back to the bot LLM).
+  validateAndScoreWord(lobby, player, tileIds, expectedWord = null) {
+    if (!Array.isArray(tileIds) || tileIds.length === 0) {
+      return { isValid: false, code: 'no_tiles', reason: 'no tiles selected' };
+    }
+
+    const communityDice = getVisibleCommunityDice(lobby);
+    const playerDice = player.dice || [];
+
+    let builtWord = '';
+    let usesPlayerDie = false;
+    const usedTiles = new Set();
+    const wordDice = [];
+
+    for (const rawTileId of tileIds) {
+      const parsed = parseTileId(rawTileId);
+      if (!parsed) {
+        return { isValid: false, code: 'invalid_tile', reason: `invalid tile: ${String(rawTileId).substring(0, 20)}` };
+      }
+
+      const tileId = `${parsed.source}-${parsed.index}`;
+      if (usedTiles.has(tileId)) {
+        return { isValid: false, code: 'duplicate_tile', reason: 'duplicate tile' };
+      }
+      usedTiles.add(tileId);
+
+      const dieIndex = parsed.index;
+      const die = parsed.source === 'community' ? communityDice[dieIndex] : playerDice[dieIndex];
+      if (parsed.source === 'player') {
+        usesPlayerDie = true;
+      }
+
+      if (!die) {
+        return { isValid: false, code: 'invalid_tile', reason: `invalid tile: ${tileId}` };
+      }
+
+      builtWord += die.letter;
+      wordDice.push({ source: parsed.source, die, dieIndex });
+    }
+
+    if (typeof expectedWord === 'string' && expectedWord && builtWord.toUpperCase() !== expectedWord.toUpperCase()) {
+      return { isValid: false, code: 'word_mismatch', reason: `tiles "${builtWord}" do not match word "${expectedWord}"` };
+    }
+
+    if (!usesPlayerDie) {
+      return { isValid: false, code: 'no_player_tile', reason: 'must use player die' };
+    }
+
+    if (builtWord.length < 2) {
+      return { isValid: false, code: 'too_short', reason: 'word must be at least 2 letters' };
+    }
+
+    // Check word is in dictionary
+    if (!this.getLobbyDictionary(lobby).trie.has(builtWord.toUpperCase())) {
+      return { isValid: false, code: 'not_in_dictionary', reason: 'not in dictionary' };
+    }
+
+    // Calculate score using the shared scoring engine
+    const sequence = wordDice.map(wd => Scoring.makeTile(wd.die, wd.source, wd.dieIndex));
+    const scored = Scoring.scoreSequence(sequence, getVisibleModifier(lobby), this.getScoringOptions(lobby));
+
+    // Staged rounds: locking in before the river earns a speed bonus
+    const speedBonus = getSpeedBonus(lobby);
+
+    return {
+      isValid: true,
+      word: scored.word,
+      score: scored.score + speedBonus,
+      breakdown: speedBonus
+        ? `${scored.breakdown}; +${speedBonus} ${getStreetName(lobby)} bonus = ${scored.score + speedBonus}`
+        : scored.breakdown,
+      speedBonus,
+    };
+  }
+
+  // A player's word, as ordered tile ids (and optionally the word they spell).
+  // It's rebuilt and scored here - never trust client scores.
+  submit(code, playerId, { tileIds, word } = {}) {
+    const lobby = this.getLobby(code);
+    const player = lobby?.players.get(playerId);
+    if (!player) return fail('not_in_lobby');
+
+    if (lobby.revealed) return fail('round_over', 'Round already ended!');
+
+    const validation = this.validateAndScoreWord(lobby, player, tileIds, word);
+    this.emit('submission', lobby, { player, valid: validation.isValid });
+    if (!validation.isValid) {
+      logFor(lobby, playerId).info('Submission rejected', { name: player.name, reason: validation.code });
+      return fail(validation.code, SUBMIT_ERROR_MESSAGES[validation.code] || 'Submission rejected');
+    }
+
+    const isNewSubmission = !lobby.playerSubmissions.has(playerId);
+    logFor(lobby, playerId).info(isNewSubmission ? 'Word submitted' : 'Word resubmitted', {
+      name: player.name,
+      word: validation.word,
+      score: validation.score,
+    });
+
+    this.recordSubmission(lobby, player, validation);
+    return { ok: true, word: validation.word, score: validation.score, breakdown: validation.breakdown };
+  }
+
+  // Store a valid word (players and bots alike). A first submission halves the
+  // timer, and the round ends once everyone is in.
+  recordSubmission(lobby, player, validation) {
+    const visibleId = player.visibleId;
+    const isNewSubmission = !lobby.playerSubmissions.has(visibleId);
+
+    lobby.playerSubmissions.set(visibleId, {
+      word: validation.word,
+      score: validation.score,
+      breakdown: validation.breakdown,
+      speedBonus: validation.speedBonus,
+      isValid: true,
+      playerLetters: player.dice.map(d => d.letter).join(''), // Which letters they had, for round history
+      timestamp: this.clock.now(),
+    });
+
+    // Only halve timer on NEW submissions (not resubmissions), and not when all players have submitted.
+    // Staged rounds wait for the river: early lock-ins are rewarded with the speed bonus instead.
+    const allSubmitted = lobby.playerSubmissions.size === lobby.players.size;
+    if (isNewSubmission && !allSubmitted && isBoardComplete(lobby) && lobby.timerRemaining > 10) {
+      const newTime = Math.max(10, Math.floor(lobby.timerRemaining / 2));
+      logFor(lobby, visibleId).info('Timer halved', { name: player.name, from: lobby.timerRemaining, to: newTime });
+      lobby.timerRemaining = newTime;
+      this.emit('timerHalved', lobby, player);
+      this.hurrySolverBots(lobby);
+
+      this.broadcast(lobby, 'timerHalved', {
+        remaining: lobby.timerRemaining,
+        playerName: player.name,
+      });
+    }
+
+    if (!player.isBot) {
+      this.send(lobby, visibleId, 'submitConfirmed', {
+        word: validation.word,
+        score: validation.score,
+        breakdown: validation.breakdown,
+      });
+    }
+
+    // Update everyone on who has submitted
+    this.broadcastPlayerList(lobby);
+    this.lobbyChanged(lobby);
+
+    if (allSubmitted) {
+      logFor(lobby).info('All players submitted, ending round early', { round: lobby.roundNumber });
+      this.revealResults(lobby);
+    }
+  }
+
+  // Re-roll one private die (once per round, human players only; they get 'rerollResult')
+  reroll(code, playerId, dieIndex) {
+    const lobby = this.getLobby(code);
+    const player = lobby?.players.get(playerId);
+    if (!player) return fail('not_in_lobby');
+
+    if (player.isBot) return fail('bot', 'Bots cannot re-roll.');
+    if (lobby.revealed) return fail('round_over', 'Round already ended!');
+    if (lobby.playerSubmissions.has(playerId)) return fail('already_submitted', 'Already submitted — cannot re-roll.');
+    if (player.hasRerolled) return fail('already_rerolled', 'Already used re-roll this round.');
+
+    dieIndex = Number(dieIndex);
+    if (![0, 1, 2].includes(dieIndex)) return fail('invalid_die', 'Invalid die index.');
+
+    const oldLetter = player.dice[dieIndex].letter;
+    let newDie = this.drawLetter(lobby);
+    let retries = 0;
+    while (newDie.letter === oldLetter && retries < 10) {
+      newDie = this.drawLetter(lobby);
+      retries++;
+    }
+
+    player.dice[dieIndex] = newDie;
+    player.hasRerolled = true;
+    this.emit('reroll', lobby, player);
+    this.lobbyChanged(lobby);
+
+    logFor(lobby, playerId).info('Die re-rolled', { name: player.name, dieIndex, from: oldLetter, to: newDie.letter });
+
+    this.send(lobby, playerId, 'rerollResult', {
+      dieIndex,
+      newDie: { letter: newDie.letter, points: newDie.points },
+      hasRerolled: true,
+    });
+    return { ok: true, dieIndex, newDie };
+  }
+
+  // ==========================================================================
+  // Bots
+  // ==========================================================================
+
+  // Bots ask the LLM configured for their difficulty; without one (or if it can't
+  // come up with a valid word) the built-in solver engine plays instead.
+  scheduleBotSubmission(lobby, botPlayer) {
+    const feature = botPlayer.botDifficulty === 'easy' ? 'botEasy' : 'botHard';
+    if (!this.llm?.isAvailable(feature)) {
+      this.scheduleSolverBotSubmission(lobby, botPlayer);
+      return;
+    }
+
+    const log = logFor(lobby, botPlayer.visibleId);
+    log.info('Bot starting word generation', { bot: botPlayer.name });
+
+    (async () => {
+
+      if (lobby.revealed) {
+        log.info('Bot skipped: round already revealed', { bot: botPlayer.name });
+        return;
+      }
+
+      let attempts = 0;
+      const defaultRetries = botPlayer.botDifficulty === 'easy' ? 20 : 10;
+      const maxAttempts = Number.isFinite(botPlayer.botRetries) ? botPlayer.botRetries : defaultRetries;
+      const failedAttempts = []; // Track failed attempts for feedback
+
+      while (attempts < maxAttempts) {
+        attempts++;
+
+        const result = await this.generateBotWord(lobby, botPlayer, failedAttempts);
+        if (!result) {
+          log.debug('Bot attempt: LLM returned no parseable result', { bot: botPlayer.name, attempt: attempts });
+          continue;
+        }
+
+        log.debug('Bot attempt', { bot: botPlayer.name, attempt: attempts, word: result.word, tiles: result.tileIds });
+        const validation = this.validateAndScoreWord(lobby, botPlayer, result.tileIds, result.word);
+        this.emit('submission', lobby, { player: botPlayer, valid: validation.isValid });
+
+        if (validation.isValid) {
+          this.submitBotWord(lobby, botPlayer, validation);
+          log.info('Bot submitted', { bot: botPlayer.name, word: validation.word, score: validation.score, attempts });
+          return;
+        }
+
+        // Record the failed attempt for feedback to the next LLM call
+        failedAttempts.push({ word: result.word, tiles: result.tileIds, reason: validation.reason });
+        log.debug('Bot attempt failed', { bot: botPlayer.name, attempt: attempts, reason: validation.code });
+      }
+
+      log.info('Bot found no valid word with the LLM, using the built-in engine', { bot: botPlayer.name, attempts: maxAttempts });
+      this.playSolverBotWord(lobby, botPlayer);
+    })();
+  }
+
+  // Generate a word for a bot player using LLM
+  async generateBotWord(lobby, botPlayer, failedAttempts = []) {
+    const communityLetters = getVisibleCommunityDice(lobby).map((d, i) => ({
+      id: `community-${i}`,
+      letter: d.letter,
+      points: d.points,
+    }));
+
+    const playerLetters = botPlayer.dice.map((d, i) => ({
+      id: `player-${i}`,
+      letter: d.letter,
+      points: d.points,
+    }));
+
+    const modifier = getVisibleModifier(lobby);
+    const log = logFor(lobby, botPlayer.visibleId);
+    log.debug('Bot generating word', {
+      bot: botPlayer.name,
+      community: communityLetters.map(d => d.letter).join(''),
+      private: playerLetters.map(d => d.letter).join(''),
+      modifier: modifier ? `${modifier.shortName} on community-${modifier.dieIndex}` : null,
+    });
+
+    const language = this.getLobbyLanguage(lobby);
+    const systemPrompt = `Word game: form a high-scoring valid ${language.name} word from tiles. Use at least one player tile. Each tile may be used only once.
+
+Scoring: ${LanguagePacks.describePoints(language)}
+
+Goal: ensure validity while maximizing points. The word must exist in the ${this.getLobbyDictionary(lobby).name} Scrabble word list. Pick a good word quickly - consider a few options then decide.
+
+Respond with JSON only: {"word":"YOURWORD","tiles":["tile-id-1","tile-id-2",...]}
+
+Example: {"word":"PLANT","tiles":["player-1","community-0","community-2","player-0","community-1"]}`;
+
+    // Build modifier description for the AI (a staged round may not have dealt its die yet)
+    const modifierLine = modifier ? `Bonus on community-${modifier.dieIndex}: ${modifier.desc}` : 'Bonus: none on the board yet';
+
+    let userPrompt = `Community: ${communityLetters.map((d, i) => `community-${i}="${d.letter}"${i === modifier?.dieIndex ? ' [BONUS]' : ''}`).join(', ')}
+Player: ${playerLetters.map((d, i) => `player-${i}="${d.letter}"`).join(', ')}
+${modifierLine}`;
+
+    // Add failed attempts context so the model doesn't repeat mistakes
+    if (failedAttempts.length > 0) {
+      userPrompt += '\n\nPrevious failed attempts:';
+      for (const attempt of failedAttempts) {
+        userPrompt += `\n- {"word":"${attempt.word}","tiles":${JSON.stringify(attempt.tiles)}} failed: ${attempt.reason}`;
+      }
+      const attemptNumber = failedAttempts.length + 1;
+      const defaultRetries = botPlayer.botDifficulty === 'easy' ? 20 : 10;
+      const maxAttempts = Number.isFinite(botPlayer.botRetries) ? botPlayer.botRetries : defaultRetries;
+      userPrompt += `\n\nAttempt ${attemptNumber} of ${maxAttempts}.`;
+    }
+
+    // Choose model and parameters based on bot difficulty
+    const isEasy = botPlayer.botDifficulty === 'easy';
+    const feature = isEasy ? 'botEasy' : 'botHard';
+
+    log.debug('Bot asking the LLM', { bot: botPlayer.name, mode: isEasy ? 'easy' : 'hard', route: this.llm.describe()[feature] });
+
+    const result = await this.llm.chat(feature, [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], { context: { lobby, botPlayer } });
+
+    if (result.error) {
+      log.error('Bot LLM request failed', { bot: botPlayer.name, error: result.error });
+      return null;
+    }
+
+    const content = result.content || '';
+    log.debug('Bot LLM response', { bot: botPlayer.name, content: content.substring(0, 200) });
+
+    // Parse JSON response
+    let parsed;
+    try {
+      // Extract JSON from response (handle markdown code blocks or extra text)
+      const jsonMatch = content.match(/\{[^}]+\}/);
+      if (!jsonMatch) {
+        log.warn('Bot response parse failed: no JSON found', { bot: botPlayer.name, content: content.substring(0, 100) });
+        return null;
+      }
+      parsed = JSON.parse(jsonMatch[0]);
+    } catch (e) {
+      log.warn('Bot response parse failed: invalid JSON', { bot: botPlayer.name, content: content.substring(0, 100) });
+      return null;
+    }
+
+    if (!parsed.word || !Array.isArray(parsed.tiles)) {
+      log.warn('Bot response parse failed: missing word or tiles', { bot: botPlayer.name, content: content.substring(0, 100) });
+      return null;
+    }
+
+    const word = parsed.word.toUpperCase();
+    const tileIds = parsed.tiles.map(t => String(t).trim());
+
+    return { word, tileIds };
+  }
+
+  // Built-in engine: wait a think delay scaled to the round timer, then play a
+  // word picked by the bot's skill profile. Choices are seeded per game/round/bot
+  // (separately from the lobby's stream, so bot timing never changes the dice).
+  scheduleSolverBotSubmission(lobby, botPlayer) {
+    const random = Random.createRandom(`${lobby.seed}:${lobby.roundNumber}:${botPlayer.visibleId}`);
+    const profile = BotEngine.getBotProfile(botPlayer.botDifficulty);
+    const delay = BotEngine.botThinkDelayMs(profile, lobby.settings.timerDuration, lobby.timerRemaining, random);
+    logFor(lobby, botPlayer.visibleId).info('Built-in bot scheduled', { bot: botPlayer.name, delaySeconds: Number((delay / 1000).toFixed(1)) });
+    this.setSolverBotTimeout(lobby, botPlayer, delay, random);
+  }
+
+  setSolverBotTimeout(lobby, botPlayer, delay, random) {
+    this.clock.clearTimeout(botPlayer.botTimeout);
+
+    const roundNumber = lobby.roundNumber;
+    botPlayer.botDueAt = this.clock.now() + delay;
+    botPlayer.botTimeout = this.clock.setTimeout(() => {
+      botPlayer.botTimeout = null;
+      botPlayer.botDueAt = null;
+      if (this.lobbies.get(lobby.code) !== lobby || lobby.roundNumber !== roundNumber) return;
+      this.playSolverBotWord(lobby, botPlayer, random);
+    }, delay);
+  }
+
+  // The timer was just halved: built-in bots still thinking get a think time that
+  // fits what's left (their first one was a fraction of the whole round)
+  hurrySolverBots(lobby) {
+    const now = this.clock.now();
+    lobby.players.forEach(botPlayer => {
+      if (!botPlayer.isBot || !botPlayer.botTimeout || !botPlayer.botDueAt) return;
+      if (lobby.playerSubmissions.has(botPlayer.visibleId)) return;
+
+      const random = Random.createRandom(`${lobby.seed}:${lobby.roundNumber}:${botPlayer.visibleId}:${lobby.timerRemaining}`);
+      const profile = BotEngine.getBotProfile(botPlayer.botDifficulty);
+      const delay = BotEngine.botThinkDelayMs(profile, lobby.timerRemaining, lobby.timerRemaining, random);
+      if (now + delay >= botPlayer.botDueAt) return;
+
+      logFor(lobby, botPlayer.visibleId).info('Built-in bot hurried', { bot: botPlayer.name, delaySeconds: Number((delay / 1000).toFixed(1)) });
+      this.setSolverBotTimeout(lobby, botPlayer, delay, random);
+    });
+  }
+
+  playSolverBotWord(lobby, botPlayer, random = Math.random) {
+    if (lobby.revealed) return;
+    if (!lobby.players.has(botPlayer.visibleId) || lobby.playerSubmissions.has(botPlayer.visibleId)) return;
+
+    const choice = BotEngine.chooseBotWord({
+      trie: this.getLobbyDictionary(lobby).trie,
+      communityDice: getVisibleCommunityDice(lobby),
+      playerDice: botPlayer.dice,
+      modifier: getVisibleModifier(lobby),
+      scoringOptions: this.getScoringOptions(lobby),
+      profile: BotEngine.getBotProfile(botPlayer.botDifficulty),
+      random,
+    });
+    if (!choice) {
+      logFor(lobby, botPlayer.visibleId).info('Built-in bot found no playable word', { bot: botPlayer.name });
+      return;
+    }
+
+    const validation = this.validateAndScoreWord(lobby, botPlayer, choice.tileIds, choice.word);
+    this.emit('submission', lobby, { player: botPlayer, valid: validation.isValid });
+    if (!validation.isValid) {
+      logFor(lobby, botPlayer.visibleId).error('Built-in bot picked an invalid word', { bot: botPlayer.name, word: choice.word, reason: validation.code });
+      return;
+    }
+
+    this.submitBotWord(lobby, botPlayer, validation);
+    logFor(lobby, botPlayer.visibleId).info('Built-in bot submitted', { bot: botPlayer.name, word: validation.word, score: validation.score });
+  }
+
+  // A bot's word counts like anyone's (unless the round ended while it thought)
+  submitBotWord(lobby, botPlayer, validation) {
+    if (lobby.revealed) return;
+    this.recordSubmission(lobby, botPlayer, validation);
+  }
+
+  // ==========================================================================
+  // Views
+  // ==========================================================================
+
+  // Public view of every player (what the player list and boards show)
+  getPlayerList(lobby) {
+    return Array.from(lobby.players.values()).map(p => {
+      const isBot = p.isBot || false;
+      const isConnected = isBot || lobby.playerSockets.has(p.visibleId);
+      const isReconnecting = !isBot && !isConnected && p.disconnectedAt && (this.clock.now() - p.disconnectedAt < 30000);
+
+      return {
+        visibleId: p.visibleId,
+        name: p.name,
+        totalPoints: p.totalPoints,
+        chips: typeof p.chips === 'number' ? p.chips : null,
+        isHost: p.isHost,
+        hasSubmitted: lobby.playerSubmissions.has(p.visibleId),
+        isConnected,
+        isReconnecting, // True for first 30 seconds after disconnect
+        isBot,
+        botDifficulty: p.botDifficulty || null,
+      };
+    });
+  }
+
+  // Everything one player sees (their own dice included)
+  getPlayerState(lobby, visibleId) {
+    const player = lobby.players.get(visibleId);
+
+    return {
+      lobbyCode: lobby.code,
+      status: lobby.status,
+      settings: lobby.settings,
+      roundNumber: lobby.roundNumber,
+      totalRounds: lobby.settings.totalRounds,
+      communityDice: getVisibleCommunityDice(lobby),
+      communityCount: lobby.communityDice.length,
+      modifier: getVisibleModifier(lobby),
+      speedBonus: getSpeedBonus(lobby),
+      nextRevealIn: getNextRevealIn(lobby),
+      betting: getBettingView(lobby),
+      player: player ? { ...getPublicPlayer(player), hasRerolled: player.hasRerolled || false } : player,
+      players: this.getPlayerList(lobby),
+      spectators: getSpectatorList(lobby),
+      locked: lobby.locked,
+      timerRemaining: lobby.timerRemaining,
+      revealed: lobby.revealed,
+      isHost: player?.isHost || false,
+    };
+  }
+
+  // What a big-screen board shows: the public side of the game, no private dice
+  getBoardState(lobby) {
+    return {
+      lobbyCode: lobby.code,
+      status: lobby.status,
+      settings: lobby.settings,
+      roundNumber: lobby.roundNumber,
+      totalRounds: lobby.settings.totalRounds,
+      communityDice: getVisibleCommunityDice(lobby),
+      communityCount: lobby.communityDice.length,
+      modifier: getVisibleModifier(lobby),
+      speedBonus: getSpeedBonus(lobby),
+      nextRevealIn: getNextRevealIn(lobby),
+      betting: getBettingView(lobby),
+      players: this.getPlayerList(lobby),
+      timerRemaining: lobby.timerRemaining,
+      revealed: lobby.revealed,
+      roundResults: this.getLastRoundResults(lobby),
+    };
+  }
+
+  // A spectator sees what a board sees, plus who they are
+  getSpectatorState(lobby, spectatorId) {
+    const spectator = lobby.spectators.get(spectatorId);
+    return {
+      ...this.getBoardState(lobby),
+      player: null,
+      spectator: spectator ? { spectatorId, name: spectator.name, wantsToPlay: spectator.wantsToPlay } : null,
+      spectators: getSpectatorList(lobby),
+      isHost: false,
+    };
+  }
+
+  // ==========================================================================
+  // Operators
+  // ==========================================================================
+
+  // Stop the game in progress and send everyone back to the waiting room
+  forceEndGame(code) {
+    const lobby = this.getLobby(code);
+    if (!lobby) return fail('not_found');
+    if (lobby.status === 'waiting') return fail('not_playing', 'No game in progress');
+
+    this.returnToLobby(lobby);
+    return { ok: true };
+  }
+
+  // Shut a lobby down now: tell everyone in it, stop its timers and forget it
+  closeLobby(code, message) {
+    const lobby = this.getLobby(code);
+    if (!lobby) return fail('not_found');
+
+    this.broadcast(lobby, 'lobbyClosed', { lobbyCode: lobby.code, message });
+
+    this.stopTimer(lobby);
+    this.cancelAutoAdvance(lobby);
+    this.clock.clearTimeout(lobby.deleteTimeout);
+    lobby.players.forEach(player => TRANSIENT_PLAYER_KEYS.forEach(key => this.clock.clearTimeout(player[key])));
+    lobby.spectators.forEach(spectator => this.clock.clearTimeout(spectator.removeTimeout));
+
+    this.deleteLobby(lobby);
+    return { ok: true };
+  }
+
+  // Pick up a lobby rebuilt from a snapshot (see hydrateLobby) where it left off.
+  // Snapshots from older versions get today's defaults. False if the code is taken.
+  restoreLobby(lobby, { savedAt } = {}) {
+    if (!lobby.code || this.lobbies.has(lobby.code)) return false;
+    const now = this.clock.now();
+
+    // Snapshots from before languages/word lists existed, or whose pack or list was since removed
+    if (!this.languages.has(lobby.settings.language) || !this.dictionaries.defaultFor(lobby.settings.language)) {
+      lobby.settings.language = this.languages.defaultId;
+    }
+    if (this.dictionaries.get(lobby.settings.dictionaryId)?.language !== lobby.settings.language) {
+      lobby.settings.dictionaryId = this.dictionaries.defaultFor(lobby.settings.language);
+    }
+    // ...or from before seeded games and staged rounds
+    lobby.settings.seed = Random.normalizeSeed(lobby.settings.seed);
+    lobby.settings.roundMode = ROUND_MODES.includes(lobby.settings.roundMode) ? lobby.settings.roundMode : 'classic';
+    lobby.settings.revealInterval = normalizeRevealInterval(lobby.settings.revealInterval);
+    if (!Number.isInteger(lobby.revealedCount)) lobby.revealedCount = lobby.communityDice.length;
+    if (!Number.isInteger(lobby.roundElapsed)) lobby.roundElapsed = 0;
+    if (!Number.isInteger(lobby.streetStartedAt)) lobby.streetStartedAt = 0;
+    normalizeChipSettings(lobby.settings);
+    lobby.betting = lobby.betting || null;
+    lobby.settings.lateJoin = LATE_JOIN_MODES.includes(lobby.settings.lateJoin) ? lobby.settings.lateJoin : 'last';
+    lobby.settings.autoAdvance = normalizeAutoAdvance(lobby.settings.autoAdvance);
+    lobby.createdAt = Number.isFinite(lobby.createdAt) ? lobby.createdAt : (savedAt || now);
+    lobby.locked = lobby.locked === true;
+    lobby.passwordHash = typeof lobby.passwordHash === 'string' ? lobby.passwordHash : null;
+    if (!VISIBILITY_MODES.includes(lobby.settings.visibility) || (lobby.settings.visibility === 'password' && !lobby.passwordHash)) {
+      lobby.settings.visibility = 'unlisted';
+    }
+    if (!Array.isArray(lobby.bannedSessions)) lobby.bannedSessions = [];
+    if (!Array.isArray(lobby.eventLog)) lobby.eventLog = [];
+    if (!Number.isInteger(lobby.rngState)) {
+      lobby.seed = lobby.seed || Random.generateSeed(this.random);
+      lobby.rngState = Random.seedState(lobby.seed);
+    }
+
+    this.lobbies.set(lobby.code, lobby);
+
+    // Nobody is connected yet: give humans the usual reconnect window
+    lobby.players.forEach((player, visibleId) => {
+      if (player.isBot) return;
+      player.disconnectedAt = now;
+      this.schedulePlayerRemoval(lobby, visibleId);
+      if (player.isHost) this.scheduleHostTransfer(lobby, player);
+    });
+    this.scheduleLobbyDeletion(lobby);
+
+    if (lobby.status === 'playing') {
+      if (lobby.roundNumber === 0) {
+        // Went down during the start countdown
+        this.startNewRound(lobby);
+      } else if (!lobby.revealed) {
+        this.startTimer(lobby, Math.max(1, lobby.timerRemaining));
+        lobby.players.forEach(player => {
+          if (player.isBot && !lobby.playerSubmissions.has(player.visibleId)) {
+            this.scheduleBotSubmission(lobby, player);
+          }
+        });
+        this.promptBettor(lobby);
+      } else {
+        this.scheduleAutoAdvance(lobby);
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = {
+  GameEngine,
+  LOCAL_CONNECTION,
+  serializeLobby,
+  hydrateLobby,
+  logFor,
+  getHost,
+  getSpectatorList,
+  getBettingView,
+  getVisibleCommunityDice,
+  getVisibleModifier,
+  ROUND_MODES,
+  LATE_JOIN_MODES,
+  VISIBILITY_MODES,
+  LOBBY_PASSWORD_MAX_LENGTH,
+};
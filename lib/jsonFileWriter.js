@@ -0,0 +1,72 @@
+// Debounced, atomic JSON file writes shared by the file-backed stores.
+// Writes go to a temp file that's then renamed over the real one, so a crash
+// mid-write can't corrupt it. serialize() is called at write time, so callers
+// just update their in-memory data and call schedule().
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+function createJsonFileWriter(filePath, serialize, { writeDelayMs = 1000, label = 'Store' } = {}) {
+  let writeTimeout = null;
+  let writing = false;
+  let writeAgain = false;
+
+  const writeNow = () => {
+    writeTimeout = null;
+    if (writing) {
+      writeAgain = true;
+      return;
+    }
+    writing = true;
+    const tmpPath = `${filePath}.tmp`;
+    fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      .then(() => fs.promises.writeFile(tmpPath, serialize()))
+      .then(() => fs.promises.rename(tmpPath, filePath))
+      .catch(err => logger.error('File write failed', { store: label, err: err.message }))
+      .finally(() => {
+        writing = false;
+        if (writeAgain) {
+          writeAgain = false;
+          schedule();
+        }
+      });
+  };
+
+  const schedule = () => {
+    if (writeTimeout) return;
+    writeTimeout = setTimeout(writeNow, writeDelayMs);
+  };
+
+  // Synchronous write of the current data (shutdown)
+  const flush = () => {
+    if (writeTimeout) {
+      clearTimeout(writeTimeout);
+      writeTimeout = null;
+    }
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(`${filePath}.tmp`, serialize());
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    } catch (err) {
+      logger.error('File flush failed', { store: label, err: err.message });
+    }
+  };
+
+  return { schedule, flush };
+}
+
+// Parsed contents of a JSON file, or null when it's missing or unreadable
+function readJsonFile(filePath, { label = 'Store' } = {}) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    logger.error('File load failed', { store: label, file: filePath, err: err.message });
+    return null;
+  }
+}
+
+module.exports = {
+  createJsonFileWriter,
+  readJsonFile,
+};
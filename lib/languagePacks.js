@@ -0,0 +1,180 @@
+// Language packs: the tiles, points, deck and vowels for each language.
+// One JSON file per language in data/languages/:
+//   { "id": "es", "name": "Spanish", "nativeName": "Español",
+//     "vowels": "AEIOU",
+//     "dictionary": "es",              default word list (see data/dictionaries.json)
+//     "fold": { "Á": "A" },            spellings folded when loading word lists
+//     "tiles": [{ "letter": "Ll", "points": 4, "count": 1 }, ...] }
+// A tile's letter may be several characters (digraphs like "Qu" or "Ll"); words
+// are spelled with the upper-cased letters, so "Ll" plays as LL.
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Validate a pack definition and precompute the lookups the game needs
+function createLanguagePack(def) {
+  const id = String(def?.id || '').toLowerCase();
+  if (!/^[a-z]{2,8}(-[a-z0-9]{2,8})?$/.test(id)) {
+    throw new Error(`invalid language id ${JSON.stringify(def?.id)}`);
+  }
+  if (!Array.isArray(def.tiles) || def.tiles.length === 0) {
+    throw new Error(`${id}: "tiles" must be a non-empty array`);
+  }
+
+  const vowels = String(def.vowels || '').toUpperCase();
+  const tiles = def.tiles.map(tile => {
+    const letter = String(tile?.letter || '');
+    const points = Number(tile?.points);
+    const count = Number(tile?.count);
+    if (!letter || !Number.isInteger(points) || points < 0 || !Number.isInteger(count) || count < 1) {
+      throw new Error(`${id}: bad tile ${JSON.stringify(tile)}`);
+    }
+    return { letter, points, count };
+  });
+
+  const tileByLetter = new Map(tiles.map(tile => [tile.letter, tile]));
+  if (tileByLetter.size !== tiles.length) {
+    throw new Error(`${id}: duplicate tile letters`);
+  }
+
+  // A tile is a vowel when every character on it is (so "Qu" is a consonant)
+  const isVowel = letter => [...letter.toUpperCase()].every(char => vowels.includes(char));
+  const vowelLetters = tiles.filter(tile => isVowel(tile.letter)).map(tile => tile.letter);
+  const consonantLetters = tiles.filter(tile => !isVowel(tile.letter)).map(tile => tile.letter);
+  if (vowelLetters.length === 0 || consonantLetters.length === 0) {
+    throw new Error(`${id}: needs both vowel and consonant tiles`);
+  }
+
+  const fold = {};
+  Object.entries(def.fold || {}).forEach(([from, to]) => {
+    fold[from.toUpperCase()] = String(to).toUpperCase();
+  });
+
+  return {
+    id,
+    name: def.name || id,
+    nativeName: def.nativeName || def.name || id,
+    vowels,
+    dictionary: def.dictionary ? String(def.dictionary).toLowerCase() : null,
+    fold,
+    tiles,
+    tileByLetter,
+    vowelLetters,
+    consonantLetters,
+    // Every character a word can contain when spelled with these tiles
+    characters: new Set(tiles.flatMap(tile => [...tile.letter.toUpperCase()])),
+  };
+}
+
+function isVowelTile(pack, letter) {
+  return pack.vowelLetters.includes(letter);
+}
+
+// Full deck for one shuffle: each tile repeated `count` times
+function createLetterDeck(pack) {
+  const deck = [];
+  pack.tiles.forEach(({ letter, points, count }) => {
+    for (let i = 0; i < count; i++) {
+      deck.push({ letter, points });
+    }
+  });
+  return deck;
+}
+
+// A word-list entry as it would be spelled with this pack's tiles, or null if
+// it can't be (foreign characters, apostrophes...)
+function normalizeWord(pack, raw) {
+  let word = String(raw).trim().toUpperCase();
+  if (Object.keys(pack.fold).length > 0) {
+    word = [...word].map(char => pack.fold[char] ?? char).join('');
+  }
+  for (const char of word) {
+    if (!pack.characters.has(char)) return null;
+  }
+  return word;
+}
+
+// Changes whenever normalizeWord would treat a word list differently
+function normalizationSignature(pack) {
+  return JSON.stringify({ fold: pack.fold, characters: [...pack.characters].sort() });
+}
+
+// Compact points table for prompts, e.g. "1pt=A,E,I | 2pt=B,C | 4pt=Qu"
+function describePoints(pack) {
+  const byPoints = new Map();
+  pack.tiles.forEach(tile => {
+    if (!byPoints.has(tile.points)) byPoints.set(tile.points, []);
+    byPoints.get(tile.points).push(tile.letter);
+  });
+  return Array.from(byPoints.keys())
+    .sort((a, b) => a - b)
+    .map(points => `${points}pt=${byPoints.get(points).join(',')}`)
+    .join(' | ');
+}
+
+// What clients need to label and score tiles
+function summarizePack(pack) {
+  return {
+    id: pack.id,
+    name: pack.name,
+    nativeName: pack.nativeName,
+    vowels: pack.vowels,
+    tiles: pack.tiles.map(({ letter, points }) => ({ letter, points })),
+  };
+}
+
+function createLanguageRegistry({ dir }) {
+  const packs = new Map();
+
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort() : [];
+  files.forEach(file => {
+    try {
+      const pack = createLanguagePack(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+      if (packs.has(pack.id)) {
+        logger.warn('Skipping duplicate language pack', { language: pack.id, file });
+        return;
+      }
+      packs.set(pack.id, pack);
+    } catch (err) {
+      logger.error('Failed to load language pack', { file, err: err.message });
+    }
+  });
+
+  if (packs.size === 0) {
+    throw new Error(`No language packs found in ${dir}`);
+  }
+  const defaultId = packs.has(DEFAULT_LANGUAGE) ? DEFAULT_LANGUAGE : packs.keys().next().value;
+
+  return {
+    defaultId,
+
+    has(id) {
+      return typeof id === 'string' && packs.has(id);
+    },
+
+    get(id) {
+      return (typeof id === 'string' && packs.get(id)) || null;
+    },
+
+    resolve(id) {
+      return this.get(id) || packs.get(defaultId);
+    },
+
+    all() {
+      return Array.from(packs.values());
+    },
+  };
+}
+
+module.exports = {
+  createLanguageRegistry,
+  createLanguagePack,
+  isVowelTile,
+  createLetterDeck,
+  normalizeWord,
+  normalizationSignature,
+  describePoints,
+  summarizePack,
+};
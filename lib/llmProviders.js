@@ -0,0 +1,411 @@
+// LLM providers for chat completion and image generation.
+// Every provider implements the same interface:
+//   isAvailable()             -> false when it can't work at all (e.g. no API key)
+//   chat(messages, options)   -> { content, reasoning? } | { error }
+//   generateImage(prompt, options) -> { imageData (base64 PNG) } | { error }
+// messages: [{ role: 'system'|'user'|'assistant', content }]
+// options always carries `model`; the rest depend on the provider (timeout,
+// temperature, thinkingLevel...). Unknown options are ignored, so the same
+// feature config works whichever provider it ends up on.
+//
+// createLLMClient() picks a provider per feature (fun facts, bots...) from one
+// config table, with env overrides for running against a local model or offline.
+
+const { logger } = require('./logger');
+
+const DEFAULT_TIMEOUT = 30000;
+
+// fetch with an abort timeout; resolves to the parsed JSON body
+async function fetchJson(url, { timeout = DEFAULT_TIMEOUT, ...init }) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function describeError(label, err, feature) {
+  if (err.name === 'AbortError') {
+    logger.error('LLM request timed out', { provider: label, feature });
+    return { error: 'Request timed out' };
+  }
+  logger.error('LLM request failed', { provider: label, feature, err });
+  return { error: err.message };
+}
+
+// Clean up model-specific tokens (fallback for models that leak thinking into content)
+function cleanContent(content) {
+  return (content || '')
+    .replace(/<\/?s>/g, '')
+    .replace(/\[\/INST\]/g, '')
+    .replace(/\[INST\]/g, '')
+    .replace(/<think>[\s\S]*?<\/think>/g, '')
+    .trim();
+}
+
+// OpenAI-style /chat/completions request (OpenRouter and local servers)
+// Options:
+//   maxTokens: max output tokens (default 200, null to omit)
+//   temperature: sampling temperature (default 0.7)
+//   useDefaultTemperature: leave temperature to the server
+//   timeout: request timeout in ms (default 30000)
+//   reasoning: OpenRouter reasoning config, e.g. { enabled: true } or { effort: 'high' }
+async function callChatCompletions(label, url, headers, messages, options) {
+  const {
+    model,
+    maxTokens = 200,
+    temperature = 0.7,
+    useDefaultTemperature = false,
+    timeout = DEFAULT_TIMEOUT,
+    reasoning = null,
+  } = options;
+
+  try {
+    const body = { model, messages };
+    if (!useDefaultTemperature) body.temperature = temperature;
+    if (maxTokens !== null) body.max_tokens = maxTokens;
+    if (reasoning) body.reasoning = reasoning;
+
+    const data = await fetchJson(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      timeout,
+    });
+
+    if (data.error) {
+      logger.error('LLM API error', { provider: label, feature: options.feature, error: data.error });
+      return { error: data.error.message || data.error };
+    }
+
+    // Full response for debugging (LOG_LEVEL=debug)
+    logger.debug('LLM response', { provider: label, feature: options.feature, response: data.choices?.[0] });
+
+    const message = data.choices?.[0]?.message || {};
+    const result = { content: cleanContent(message.content) };
+    if (message.reasoning) {
+      result.reasoning = message.reasoning;
+    }
+    return result;
+  } catch (err) {
+    return describeError(label, err, options.feature);
+  }
+}
+
+// OpenRouter (hosted, many models). Needs OPENROUTER_API_KEY.
+function createOpenRouterProvider({ apiKey, defaultModel = 'nvidia/nemotron-3-nano-30b-a3b:free' } = {}) {
+  const headers = {
+    'HTTP-Referer': 'http://localhost:3000',
+    'X-Title': 'Scrabble Holdem',
+  };
+
+  return {
+    name: 'openrouter',
+    defaultModel,
+    isAvailable: () => !!apiKey,
+
+    async chat(messages, options = {}) {
+      if (!apiKey) return { error: 'API key not configured' };
+      return callChatCompletions('OpenRouter', 'https://openrouter.ai/api/v1/chat/completions', {
+        Authorization: `Bearer ${apiKey}`,
+        ...headers,
+      }, messages, { reasoning: { enabled: false }, ...options, model: options.model || defaultModel });
+    },
+
+    async generateImage() {
+      return { error: 'OpenRouter provider does not generate images' };
+    },
+  };
+}
+
+// Google Gemini. Needs GEMINI_API_KEY.
+// Chat options:
+//   thinkingLevel: 'none', 'minimal', 'low', 'medium', 'high' (Gemini 3, default 'low')
+//   thinkingBudget: token budget (Gemini 2.5, null = model default)
+//   timeout: request timeout in ms (default 30000)
+function createGeminiProvider({ apiKey, defaultModel = 'gemini-3-flash-preview', defaultImageModel = 'gemini-2.5-flash-image' } = {}) {
+  const endpoint = model => `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+  const headers = { 'x-goog-api-key': apiKey, 'Content-Type': 'application/json' };
+
+  return {
+    name: 'gemini',
+    defaultModel,
+    isAvailable: () => !!apiKey,
+
+    async chat(messages, options = {}) {
+      if (!apiKey) return { error: 'Gemini API key not configured' };
+
+      const {
+        model = defaultModel,
+        thinkingLevel = 'low',
+        thinkingBudget = null,
+        timeout = DEFAULT_TIMEOUT,
+      } = options;
+
+      try {
+        // Build request body with system_instruction and contents
+        const body = { generationConfig: {} };
+
+        // Apply thinking config based on model family
+        if (model.includes('2.5')) {
+          // Gemini 2.5 uses thinkingBudget (omit to use model default, e.g. off for flash-lite)
+          if (thinkingBudget !== null) {
+            body.generationConfig.thinkingConfig = { thinkingBudget };
+          }
+        } else {
+          // Gemini 3 uses thinkingLevel
+          body.generationConfig.thinkingConfig = { thinkingLevel };
+        }
+
+        const systemMsg = messages.find(m => m.role === 'system');
+        if (systemMsg) {
+          body.system_instruction = { parts: [{ text: systemMsg.content }] };
+        }
+
+        // Convert non-system messages to Gemini contents format
+        body.contents = messages
+          .filter(m => m.role !== 'system')
+          .map(m => ({
+            role: m.role === 'assistant' ? 'model' : m.role,
+            parts: [{ text: m.content }],
+          }));
+
+        const data = await fetchJson(endpoint(model), {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body),
+          timeout,
+        });
+
+        // Full response for debugging (LOG_LEVEL=debug)
+        logger.debug('LLM response', { provider: 'Gemini', feature: options.feature, response: data });
+
+        if (data.error) {
+          logger.error('LLM API error', { provider: 'Gemini', feature: options.feature, error: data.error });
+          return { error: data.error.message || data.error };
+        }
+
+        const content = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+        const usage = data.usageMetadata || {};
+        logger.debug('LLM usage', {
+          provider: 'Gemini',
+          feature: options.feature,
+          promptTokens: usage.promptTokenCount,
+          responseTokens: usage.candidatesTokenCount,
+          thinkingTokens: usage.thoughtsTokenCount,
+        });
+
+        return { content };
+      } catch (err) {
+        return describeError('Gemini', err, options.feature);
+      }
+    },
+
+    async generateImage(prompt, options = {}) {
+      if (!apiKey) return { error: 'Gemini API key not configured' };
+      const { model = defaultImageModel, timeout = 120000 } = options;
+
+      try {
+        const data = await fetchJson(endpoint(model), {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: { responseModalities: ['IMAGE'] },
+          }),
+          timeout,
+        });
+
+        if (data.error) {
+          logger.error('LLM API error', { provider: 'Gemini Image', feature: options.feature, error: data.error });
+          return { error: data.error.message || data.error };
+        }
+
+        const imageData = data.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
+        if (!imageData) {
+          return { error: 'No image data in response' };
+        }
+        return { imageData }; // base64 string
+      } catch (err) {
+        return describeError('Gemini Image', err, options.feature);
+      }
+    },
+  };
+}
+
+// Any OpenAI-compatible server: llama.cpp (llama-server), Ollama, LM Studio, vLLM...
+// baseUrl is the API root, e.g. http://localhost:11434/v1 for Ollama.
+// Images use /images/generations (e.g. LocalAI); most local servers don't offer it.
+function createOpenAICompatibleProvider({ baseUrl = 'http://localhost:8080/v1', apiKey = null, defaultModel = 'local', defaultImageModel = null } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return {
+    name: 'local',
+    defaultModel,
+    // Configured explicitly, so assume the server is there; failures surface per request
+    isAvailable: () => true,
+
+    async chat(messages, options = {}) {
+      // Local models are slow to start; give them longer than hosted APIs by default
+      return callChatCompletions('Local LLM', `${root}/chat/completions`, headers, messages, {
+        timeout: 120000,
+        ...options,
+        model: options.model || defaultModel,
+      });
+    },
+
+    async generateImage(prompt, options = {}) {
+      const { model = defaultImageModel, timeout = 300000 } = options;
+      try {
+        const body = { prompt, n: 1, response_format: 'b64_json' };
+        if (model) body.model = model;
+        const data = await fetchJson(`${root}/images/generations`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body: JSON.stringify(body),
+          timeout,
+        });
+        if (data.error) {
+          return { error: data.error.message || data.error };
+        }
+        const imageData = data.data?.[0]?.b64_json;
+        return imageData ? { imageData } : { error: 'No image data in response' };
+      } catch (err) {
+        return describeError('Local image', err, options.feature);
+      }
+    },
+  };
+}
+
+// 1x1 transparent PNG
+const MOCK_IMAGE = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+// Offline, deterministic provider for development and tests. Answers come from
+// `handlers[options.feature](messages, options)`; features without a handler
+// get a fixed reply that echoes the last user message.
+function createMockProvider({ handlers = {} } = {}) {
+  return {
+    name: 'mock',
+    defaultModel: 'mock',
+    isAvailable: () => true,
+
+    async chat(messages, options = {}) {
+      const handler = handlers[options.feature];
+      try {
+        if (handler) {
+          const content = await handler(messages, options);
+          return typeof content === 'string' ? { content } : { error: 'Mock handler returned no content' };
+        }
+        const lastUser = [...messages].reverse().find(m => m.role === 'user');
+        return { content: `[mock ${options.feature || 'chat'}] ${lastUser?.content || ''}`.trim() };
+      } catch (err) {
+        return { error: err.message };
+      }
+    },
+
+    async generateImage() {
+      return { imageData: MOCK_IMAGE };
+    },
+  };
+}
+
+// "gemini" or "local:llama3.1" -> { provider, model }
+function parseProviderSpec(spec) {
+  const [provider, ...modelParts] = String(spec).trim().split(':');
+  const model = modelParts.join(':');
+  return { provider: provider.toLowerCase(), model: model || undefined };
+}
+
+// FUN_FACT style env name for a feature key like funFact
+function featureEnvName(feature) {
+  return `LLM_${feature.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+}
+
+// Route each feature to its provider.
+//   features: { [feature]: { provider, model, ...options } }
+//   providers: { [name]: provider }
+// Env overrides, most specific first:
+//   LLM_<FEATURE>=provider[:model]   e.g. LLM_BOT_HARD=local:qwen2.5:14b
+//   LLM_PROVIDER=provider[:model]    every feature, e.g. LLM_PROVIDER=mock
+// When a feature moves to another provider its model is dropped in favour of
+// that provider's default, since model names aren't portable.
+// onCall({ feature, provider, operation: 'chat'|'image', durationMs, outcome }) is
+// told about every request once it settles (for metrics); outcome is 'ok',
+// 'error', or 'unavailable' when the provider couldn't even try (no API key).
+function createLLMClient({ features, providers, env = process.env, onCall = null }) {
+  const resolved = {};
+  Object.entries(features).forEach(([feature, config]) => {
+    const override = env[featureEnvName(feature)] || env.LLM_PROVIDER;
+    let settings = { ...config };
+    if (override) {
+      const { provider, model } = parseProviderSpec(override);
+      if (providers[provider]) {
+        settings = provider === config.provider
+          ? { ...config, model: model || config.model }
+          : { ...config, provider, model };
+      } else {
+        logger.warn('Unknown LLM provider, using the default', { provider, feature, fallback: config.provider });
+      }
+    }
+    resolved[feature] = settings;
+  });
+
+  const route = (feature) => {
+    const settings = resolved[feature];
+    if (!settings) throw new Error(`Unknown LLM feature "${feature}"`);
+    const { provider: providerName, ...options } = settings;
+    return { provider: providers[providerName], providerName, options: { ...options, feature } };
+  };
+
+  // Run one provider request and report how it went
+  const track = async ({ feature, provider, providerName }, operation, request) => {
+    const startedAt = Date.now();
+    const available = provider.isAvailable();
+    let result = null;
+    try {
+      result = await request();
+      return result;
+    } finally {
+      const outcome = !available ? 'unavailable' : (result && !result.error ? 'ok' : 'error');
+      onCall?.({ feature, provider: providerName, operation, durationMs: Date.now() - startedAt, outcome });
+    }
+  };
+
+  return {
+    // Resolved provider/model per feature (for the startup banner)
+    describe() {
+      return Object.fromEntries(Object.entries(resolved).map(([feature, { provider, model }]) => [
+        feature,
+        `${provider}${model || providers[provider]?.defaultModel ? `:${model || providers[provider].defaultModel}` : ''}`,
+      ]));
+    },
+
+    // Whether the feature's provider is usable (callers can fall back when not)
+    isAvailable(feature) {
+      return route(feature).provider.isAvailable();
+    },
+
+    // context is passed through to the provider (the mock uses it)
+    async chat(feature, messages, { context, ...overrides } = {}) {
+      const { provider, providerName, options } = route(feature);
+      return track({ feature, provider, providerName }, 'chat', () => provider.chat(messages, { ...options, ...overrides, context }));
+    },
+
+    async generateImage(feature, prompt, overrides = {}) {
+      const { provider, providerName, options } = route(feature);
+      return track({ feature, provider, providerName }, 'image', () => provider.generateImage(prompt, { ...options, ...overrides }));
+    },
+  };
+}
+
+module.exports = {
+  createLLMClient,
+  createOpenRouterProvider,
+  createGeminiProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+};
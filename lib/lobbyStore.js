@@ -0,0 +1,76 @@
+// Lobby persistence backends.
+// A store holds plain-JSON lobby snapshots keyed by lobby code. The game engine
+// converts live lobbies to/from snapshots (serializeLobby/hydrateLobby in
+// lib/gameEngine.js); stores only load and save them.
+//
+// Interface:
+//   load()              -> array of snapshots (called once at boot)
+//   save(code, snapshot)-> remember the latest snapshot for a lobby
+//   remove(code)        -> forget a lobby
+//   flush()             -> synchronously write anything pending (shutdown)
+const { createJsonFileWriter, readJsonFile } = require('./jsonFileWriter');
+const { logger } = require('./logger');
+
+// No-op store: lobbies live only in memory (previous behaviour)
+function createMemoryLobbyStore() {
+  return {
+    type: 'memory',
+    load: () => [],
+    save: () => {},
+    remove: () => {},
+    flush: () => {},
+  };
+}
+
+// Keeps every snapshot in one JSON file (debounced, atomic writes)
+function createFileLobbyStore(filePath, { writeDelayMs = 1000 } = {}) {
+  const snapshots = new Map();
+
+  const writer = createJsonFileWriter(filePath, () => JSON.stringify({
+    version: 1,
+    savedAt: Date.now(),
+    lobbies: Array.from(snapshots.values()),
+  }), { writeDelayMs, label: 'Lobby store' });
+
+  return {
+    type: 'file',
+    filePath,
+
+    load() {
+      const data = readJsonFile(filePath, { label: 'Lobby store' });
+      const list = Array.isArray(data?.lobbies) ? data.lobbies : [];
+      list.forEach(snapshot => {
+        if (snapshot?.code) snapshots.set(snapshot.code, snapshot);
+      });
+      return list;
+    },
+
+    save(code, snapshot) {
+      snapshots.set(code, snapshot);
+      writer.schedule();
+    },
+
+    remove(code) {
+      if (snapshots.delete(code)) writer.schedule();
+    },
+
+    flush() {
+      writer.flush();
+    },
+  };
+}
+
+// Pick a store from env: LOBBY_STORE=file (default) | memory, LOBBY_STORE_PATH=<file>
+function createLobbyStore({ type, filePath } = {}) {
+  if (type === 'memory') return createMemoryLobbyStore();
+  if (type && type !== 'file') {
+    logger.warn('Unknown LOBBY_STORE, falling back to file store', { type });
+  }
+  return createFileLobbyStore(filePath);
+}
+
+module.exports = {
+  createLobbyStore,
+  createMemoryLobbyStore,
+  createFileLobbyStore,
+};
@@ -0,0 +1,106 @@
+// Leveled logging with structured fields, shared by server.js and lib/.
+// Each line has a level, a message and fields; lobbyCode and playerId come
+// first so one lobby's (or one player's) story can be pulled out of the logs.
+//
+// Configured from env:
+//   LOG_LEVEL   debug | info (default) | warn | error
+//   LOG_FORMAT  text (default, one readable line) | json (one object per line)
+//   LOG_WORDS   redact (default) | show: whether player words reach the logs
+//
+// Interface:
+//   logger.debug|info|warn|error(message, fields?)
+//   logger.child(fields)   -> a logger that adds those fields to every line
+//   logger.format          -> 'text' | 'json'
+//
+// Fields named in WORD_FIELDS (words and anything an LLM said about them) are
+// replaced with "[redacted]" unless LOG_WORDS=show, wherever they're nested.
+// An `err` field that is an Error is logged as its message (and stack).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['text', 'json'];
+
+const WORD_FIELDS = new Set(['word', 'words', 'bestWord', 'tiles', 'content', 'reasoning', 'response', 'prompt']);
+const REDACTED = '[redacted]';
+
+// Leading fields, in this order, so lines line up
+const CORRELATION_FIELDS = ['lobbyCode', 'playerId'];
+
+function redactWords(value, depth = 0) {
+  if (depth > 8 || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => redactWords(item, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    WORD_FIELDS.has(key) && field !== null && field !== undefined && field !== '' ? REDACTED : redactWords(field, depth + 1),
+  ]));
+}
+
+function serializeError(err) {
+  return err instanceof Error ? { message: err.message, ...(err.stack ? { stack: err.stack } : {}) } : err;
+}
+
+function formatTextValue(value) {
+  if (typeof value === 'string') return /^[^\s"=]+$/.test(value) ? value : JSON.stringify(value);
+  return JSON.stringify(value);
+}
+
+function createLogger({
+  level = 'info',
+  format = 'text',
+  showWords = false,
+  fields: baseFields = {},
+  write = (levelName, line) => (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+  now = () => new Date(),
+} = {}) {
+  const minLevel = LEVELS[level] ?? LEVELS.info;
+  const outputFormat = FORMATS.includes(format) ? format : 'text';
+
+  const log = (levelName, message, fields = {}) => {
+    if (LEVELS[levelName] < minLevel) return;
+
+    let entry = { ...baseFields, ...fields };
+    if (entry.err !== undefined) entry.err = serializeError(entry.err);
+    if (!showWords) entry = redactWords(entry);
+    Object.keys(entry).forEach(key => entry[key] === undefined && delete entry[key]);
+
+    const correlation = CORRELATION_FIELDS.filter(key => entry[key] !== undefined && entry[key] !== null);
+    const rest = Object.keys(entry).filter(key => !CORRELATION_FIELDS.includes(key));
+
+    if (outputFormat === 'json') {
+      const ordered = { time: now().toISOString(), level: levelName, msg: message };
+      [...correlation, ...rest].forEach(key => { ordered[key] = entry[key]; });
+      write(levelName, JSON.stringify(ordered));
+      return;
+    }
+
+    const stack = entry.err?.stack;
+    const parts = [
+      now().toISOString(),
+      levelName.toUpperCase().padEnd(5),
+      correlation.length ? `[${correlation.map(key => entry[key]).join(' ')}]` : null,
+      message,
+      ...rest.map(key => `${key}=${formatTextValue(key === 'err' && stack ? entry.err.message : entry[key])}`),
+    ];
+    write(levelName, parts.filter(part => part !== null).join(' ') + (stack ? `\n${stack}` : ''));
+  };
+
+  return {
+    format: outputFormat,
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    child: fields => createLogger({ level, format, showWords, fields: { ...baseFields, ...fields }, write, now }),
+  };
+}
+
+// The process-wide logger, configured from env
+const logger = createLogger({
+  level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  format: (process.env.LOG_FORMAT || 'text').toLowerCase(),
+  showWords: (process.env.LOG_WORDS || '').toLowerCase() === 'show',
+});
+
+module.exports = {
+  logger,
+  createLogger,
+};
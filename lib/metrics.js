@@ -0,0 +1,140 @@
+// Prometheus metrics without a client library: counters, gauges and histograms
+// kept in memory and rendered in the text exposition format for GET /metrics.
+// Labels are plain objects ({ feature: 'funFact' }); each metric declares its
+// label names up front and missing labels render as "".
+//
+// Interface (createMetricsRegistry):
+//   counter({ name, help, labelNames })             -> { inc(labels?, value = 1) }
+//   gauge({ name, help, labelNames, collect })      -> { set(labels?, value) }
+//       collect() runs at scrape time and returns a number or [{ labels, value }]
+//   histogram({ name, help, labelNames, buckets })  -> { observe(labels?, value), startTimer(labels?) }
+//       startTimer() returns a function that observes the seconds since it was started
+//   render()                                         -> the exposition text
+//   contentType                                      -> the Content-Type to serve it with
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds: from a quick solver call up to a slow LLM request
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeHelp = text => String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabelValue = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// {a="1",b="2"} (or '' without labels)
+function formatLabels(pairs) {
+  if (!pairs.length) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Series are keyed by their label values, in labelNames order
+function createSeries(labelNames) {
+  const series = new Map(); // key -> { labels: [[name, value]], data }
+  return {
+    get(labels = {}, init) {
+      const pairs = labelNames.map(name => [name, labels[name] ?? '']);
+      const key = JSON.stringify(pairs.map(([, value]) => String(value)));
+      if (!series.has(key)) series.set(key, { labels: pairs, data: init() });
+      return series.get(key);
+    },
+    values: () => Array.from(series.values()),
+  };
+}
+
+function createMetricsRegistry() {
+  const metrics = new Map(); // name -> { name, help, type, lines() }
+
+  const register = (metric) => {
+    if (metrics.has(metric.name)) throw new Error(`Metric "${metric.name}" is already registered`);
+    metrics.set(metric.name, metric);
+  };
+
+  return {
+    contentType: CONTENT_TYPE,
+
+    counter({ name, help, labelNames = [] }) {
+      const series = createSeries(labelNames);
+      register({
+        name, help, type: 'counter',
+        lines: () => series.values().map(({ labels, data }) => `${name}${formatLabels(labels)} ${formatValue(data.value)}`),
+      });
+      if (!labelNames.length) series.get({}, () => ({ value: 0 })); // report 0 before the first inc
+      return {
+        inc(labels, value = 1) {
+          if (value < 0) throw new Error(`Counter "${name}" can only go up`);
+          series.get(labels, () => ({ value: 0 })).data.value += value;
+        },
+      };
+    },
+
+    gauge({ name, help, labelNames = [], collect = null }) {
+      let series = createSeries(labelNames);
+      register({
+        name, help, type: 'gauge',
+        lines() {
+          // Collected gauges start over each scrape so series that went away disappear
+          if (collect) {
+            const collected = collect();
+            series = createSeries(labelNames);
+            (typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected)
+              .forEach(({ labels, value }) => { series.get(labels, () => ({})).data.value = value; });
+          }
+          return series.values().map(({ labels, data }) => `${name}${formatLabels(labels)} ${formatValue(data.value)}`);
+        },
+      });
+      return {
+        set(labels, value) {
+          series.get(labels, () => ({})).data.value = value;
+        },
+      };
+    },
+
+    histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = createSeries(labelNames);
+      const init = () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 });
+      if (!labelNames.length) series.get({}, init);
+      const observe = (labels, value) => {
+        const data = series.get(labels, init).data;
+        bounds.forEach((bound, i) => { if (value <= bound) data.counts[i]++; });
+        data.sum += value;
+        data.count++;
+      };
+      register({
+        name, help, type: 'histogram',
+        lines: () => series.values().flatMap(({ labels, data }) => [
+          ...bounds.map((bound, i) => `${name}_bucket${formatLabels([...labels, ['le', formatValue(bound)]])} ${data.counts[i]}`),
+          `${name}_bucket${formatLabels([...labels, ['le', '+Inf']])} ${data.count}`,
+          `${name}_sum${formatLabels(labels)} ${formatValue(data.sum)}`,
+          `${name}_count${formatLabels(labels)} ${data.count}`,
+        ]),
+      });
+      return {
+        observe,
+        startTimer(labels) {
+          const startedAt = process.hrtime.bigint();
+          return () => observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        },
+      };
+    },
+
+    render() {
+      return Array.from(metrics.values())
+        .map(({ name, help, type, lines }) => [
+          `# HELP ${name} ${escapeHelp(help)}`,
+          `# TYPE ${name} ${type}`,
+          ...lines(),
+        ].join('\n'))
+        .join('\n') + '\n';
+    },
+  };
+}
+
+module.exports = {
+  createMetricsRegistry,
+};
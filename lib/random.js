@@ -0,0 +1,50 @@
+// Seedable PRNG (mulberry32) so games can be replayed.
+// A generator's whole state is one uint32: lobbies keep it in lobby.rngState,
+// which is snapshotted with the rest of the lobby and survives restarts.
+// Same seed + same draws (including re-rolls) = same dice and modifiers.
+const WordSolver = require('../public/wordSolver');
+
+const SEED_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Fresh seed for games where the host didn't pick one
+function generateSeed(random = Math.random) {
+  return random().toString(36).substr(2, 8);
+}
+
+// Host-entered seed, or null when blank/unusable
+function normalizeSeed(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const seed = String(value).trim();
+  return SEED_PATTERN.test(seed) ? seed : null;
+}
+
+function seedState(seed) {
+  return WordSolver.hashString(String(seed));
+}
+
+// Advance a state: returns [value in [0, 1), next state]
+function nextRandom(state) {
+  const next = (state + 0x6d2b79f5) >>> 0;
+  let t = next;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return [((t ^ (t >>> 14)) >>> 0) / 4294967296, next];
+}
+
+// Standalone Math.random-style generator for a seed
+function createRandom(seed) {
+  let state = seedState(seed);
+  return () => {
+    const [value, next] = nextRandom(state);
+    state = next;
+    return value;
+  };
+}
+
+module.exports = {
+  generateSeed,
+  normalizeSeed,
+  seedState,
+  nextRandom,
+  createRandom,
+};
@@ -0,0 +1,54 @@
+// Token-bucket rate limiting, one bucket per key (a socket id, an IP...).
+// Each bucket holds up to `capacity` tokens and refills at `refillPerSecond`;
+// an action costs one token (or `cost`) and is refused when the bucket is short.
+// Bursts up to capacity are fine, sustained traffic is capped at the refill rate.
+//
+// Interface:
+//   take(key, cost = 1)  -> true if allowed (tokens spent), false if limited
+//   reset(key)           -> forget a key's bucket (it starts full again)
+//   prune()              -> drop buckets that have refilled completely (memory)
+//   size                 -> number of buckets being tracked
+
+function createRateLimiter({ capacity, refillPerSecond, now = Date.now }) {
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+
+  // Top a bucket up for the time since it was last touched
+  const refill = (bucket, time) => {
+    const elapsed = Math.max(0, time - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+    bucket.updatedAt = time;
+  };
+
+  return {
+    take(key, cost = 1) {
+      const time = now();
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { tokens: capacity, updatedAt: time };
+        buckets.set(key, bucket);
+      } else {
+        refill(bucket, time);
+      }
+      if (bucket.tokens < cost) return false;
+      bucket.tokens -= cost;
+      return true;
+    },
+    reset(key) {
+      buckets.delete(key);
+    },
+    prune() {
+      const time = now();
+      buckets.forEach((bucket, key) => {
+        refill(bucket, time);
+        if (bucket.tokens >= capacity) buckets.delete(key);
+      });
+    },
+    get size() {
+      return buckets.size;
+    },
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+};
@@ -0,0 +1,334 @@
+// Shared scoring engine for Scrabble Hold'em.
+// Loaded by the server (require), the best-word worker (importScripts) and the
+// player page (<script>), so every modifier scores identically everywhere.
+//
+// A "sequence" is the ordered list of tiles forming a word. Each tile is built
+// with makeTile() and looks like:
+//   { source: 'community'|'player', index, letter, letterUpper, letterLength, points }
+// Multi-letter tiles (e.g. "Qu") count as several letters for position/length rules.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Scoring = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_VOWELS = 'AEIOU';
+
+  function makeTile(die, source, index) {
+    const letter = String(die.letter);
+    const letterUpper = letter.toUpperCase();
+    return {
+      source,
+      index,
+      letter,
+      letterUpper,
+      letterLength: letterUpper.length,
+      points: Number(die.points) || 0,
+    };
+  }
+
+  function isVowelChar(char, vowels = DEFAULT_VOWELS) {
+    return !!char && vowels.includes(char.toUpperCase());
+  }
+
+  function isModifierTile(tile, modifier) {
+    return !!modifier && tile.source === 'community' && tile.index === modifier.dieIndex;
+  }
+
+  function wordFromSequence(sequence) {
+    return sequence.map(tile => tile.letterUpper).join('');
+  }
+
+  // Work out whether (and how) the modifier applies to a sequence.
+  // Returns the raw facts the status text needs as well as the effect itself.
+  function evaluateModifier(sequence, modifier, options = {}) {
+    const vowels = options.vowels || DEFAULT_VOWELS;
+    const letterCount = sequence.reduce((sum, tile) => sum + tile.letterLength, 0);
+    const tileIndex = modifier ? sequence.findIndex(tile => isModifierTile(tile, modifier)) : -1;
+
+    const result = {
+      selected: tileIndex >= 0,
+      tileIndex,
+      letterCount,
+      applies: false,
+      multiplier: 1,
+      bonus: 0,
+    };
+
+    if (!result.selected) return result;
+
+    const modTile = sequence[tileIndex];
+    const modTileLen = modTile.letterLength;
+    const modLetterPos = sequence.slice(0, tileIndex).reduce((sum, tile) => sum + tile.letterLength, 0);
+    result.letter = modTile.letter;
+
+    const tileContainsLetterPos = (targetPos) =>
+      targetPos >= modLetterPos && targetPos < modLetterPos + modTileLen;
+
+    switch (modifier.type) {
+      case 'multiply':
+        result.applies = true;
+        result.multiplier = modifier.multiplier;
+        break;
+
+      case 'position': {
+        const position = modifier.position;
+        if (position === 'start') {
+          result.applies = modLetterPos === 0;
+        } else if (position === 'end') {
+          result.applies = modLetterPos + modTileLen === letterCount;
+        } else if (position === 'middle') {
+          result.applies = modLetterPos > 0 && modLetterPos + modTileLen < letterCount;
+        } else if (position === 'second') {
+          result.applies = tileContainsLetterPos(1);
+        } else if (position === 'penultimate') {
+          result.applies = letterCount >= 2 && tileContainsLetterPos(letterCount - 2);
+        } else if (position === 'center') {
+          result.applies = letterCount % 2 === 1 && tileContainsLetterPos(Math.floor(letterCount / 2));
+        } else if (position === 'centerAny') {
+          const midLeft = Math.floor((letterCount - 1) / 2);
+          const midRight = Math.ceil((letterCount - 1) / 2);
+          result.applies = tileContainsLetterPos(midLeft) || tileContainsLetterPos(midRight);
+        }
+
+        if (result.applies) {
+          result.multiplier = modifier.multiplier;
+          if (typeof modifier.bonus === 'number') {
+            result.bonus = modifier.bonus;
+          }
+        }
+        break;
+      }
+
+      case 'length':
+        if (modifier.minLength && letterCount >= modifier.minLength) {
+          result.applies = true;
+          result.lengthRule = 'min';
+        } else if (modifier.exactLength && letterCount === modifier.exactLength) {
+          result.applies = true;
+          result.lengthRule = 'exact';
+        } else if (modifier.maxLength && letterCount <= modifier.maxLength) {
+          result.applies = true;
+          result.lengthRule = 'max';
+        }
+
+        if (result.applies) {
+          result.bonus = modifier.bonus || 0;
+          result.multiplier = modifier.multiplier || 1;
+        }
+        break;
+
+      case 'parity': {
+        const isOdd = letterCount % 2 === 1;
+        if ((modifier.parity === 'odd' && isOdd) || (modifier.parity === 'even' && !isOdd)) {
+          result.applies = true;
+          result.bonus = modifier.bonus;
+        }
+        break;
+      }
+
+      case 'neighbor': {
+        // Last char of the previous tile / first char of the next tile
+        const prevTile = tileIndex > 0 ? sequence[tileIndex - 1] : null;
+        const nextTile = tileIndex < sequence.length - 1 ? sequence[tileIndex + 1] : null;
+        const prevEndsWithVowel = !!prevTile && isVowelChar(prevTile.letterUpper.slice(-1), vowels);
+        const nextStartsWithVowel = !!nextTile && isVowelChar(nextTile.letterUpper[0], vowels);
+        if (prevEndsWithVowel || nextStartsWithVowel) {
+          result.applies = true;
+          result.multiplier = modifier.multiplier;
+        }
+        break;
+      }
+
+      case 'composition': {
+        // Count actual vowels in the word string (handles multi-letter tiles like "Qu")
+        const vowelCount = [...wordFromSequence(sequence)].filter(c => isVowelChar(c, vowels)).length;
+        const consonantCount = letterCount - vowelCount;
+        result.vowelCount = vowelCount;
+        result.consonantCount = consonantCount;
+
+        const type = modifier.compositionType;
+        if (type === 'balanced') {
+          result.applies = vowelCount === consonantCount;
+        } else if (type === 'vowelRich') {
+          result.applies = vowelCount > consonantCount;
+        } else if (type === 'vowelCount') {
+          result.applies = vowelCount >= (modifier.minVowels || 0);
+        } else if (type === 'consonantCount') {
+          result.applies = consonantCount >= (modifier.minConsonants || 0);
+        }
+
+        if (result.applies) {
+          result.bonus = modifier.bonus;
+        }
+        break;
+      }
+
+      case 'bonus':
+        result.applies = true;
+        result.bonus = modifier.bonus;
+        break;
+    }
+
+    return result;
+  }
+
+  // Fast path for solvers: total score only, no strings.
+  function computeScore(sequence, modifier, options) {
+    if (sequence.length === 0) return 0;
+    const effect = evaluateModifier(sequence, modifier, options);
+
+    let baseScore = 0;
+    for (let i = 0; i < sequence.length; i++) {
+      let points = sequence[i].points;
+      if (i === effect.tileIndex && effect.applies && effect.multiplier > 1) {
+        points *= effect.multiplier;
+      }
+      baseScore += points;
+    }
+
+    return baseScore + (effect.applies ? effect.bonus || 0 : 0);
+  }
+
+  // Full score with the per-letter breakdown string, e.g. "Qu×2(8) + I(1) + T(1) + 4 = 14"
+  function scoreSequence(sequence, modifier, options) {
+    const effect = evaluateModifier(sequence, modifier, options);
+    const bonus = effect.applies ? effect.bonus || 0 : 0;
+
+    let baseScore = 0;
+    const letterScores = sequence.map((tile, i) => {
+      let points = tile.points;
+      let label = tile.letter;
+      if (i === effect.tileIndex && effect.applies && effect.multiplier > 1) {
+        points *= effect.multiplier;
+        label = `${tile.letter}×${effect.multiplier}`;
+      }
+      baseScore += points;
+      return { letter: label, points };
+    });
+
+    const score = sequence.length > 0 ? baseScore + bonus : 0;
+    let breakdown = letterScores.map(l => `${l.letter}(${l.points})`).join(' + ');
+    if (bonus !== 0) {
+      breakdown += bonus > 0 ? ` + ${bonus}` : ` - ${Math.abs(bonus)}`;
+    }
+    breakdown += ` = ${score}`;
+
+    return {
+      word: wordFromSequence(sequence),
+      score,
+      breakdown,
+      letterScores,
+      effect,
+    };
+  }
+
+  function formatBonusValue(bonus) {
+    return bonus > 0 ? `+${bonus}` : `${bonus}`;
+  }
+
+  function formatEffectText(multiplier, bonus) {
+    const parts = [];
+    if (multiplier > 1) parts.push(`×${multiplier}`);
+    if (typeof bonus === 'number' && bonus !== 0) parts.push(formatBonusValue(bonus));
+    return parts.join(' ');
+  }
+
+  const POSITION_LABELS = {
+    start: 'is FIRST',
+    end: 'is LAST',
+    middle: 'is in MIDDLE',
+    second: 'contains 2nd letter',
+    penultimate: 'contains 2nd-to-last',
+    center: 'contains CENTER',
+    centerAny: 'contains CENTER',
+  };
+
+  const POSITION_NAMES = {
+    start: 'first',
+    end: 'last',
+    middle: 'middle',
+    second: '2nd',
+    penultimate: '2nd-to-last',
+    center: 'center (odd-length word)',
+    centerAny: 'center',
+  };
+
+  // Player-facing one-liner explaining why the modifier did or didn't apply.
+  // Returns '' when the modifier tile isn't part of the word.
+  function describeModifier(effect, modifier) {
+    if (!effect.selected || !modifier) return '';
+    const letter = effect.letter;
+    const letterCount = effect.letterCount;
+
+    switch (modifier.type) {
+      case 'multiply':
+        return `✓ ${modifier.name}: ×${modifier.multiplier} on ${letter}`;
+
+      case 'position':
+        if (effect.applies) {
+          return `✓ ${letter} ${POSITION_LABELS[modifier.position]} → ${formatEffectText(effect.multiplier, modifier.bonus)}`;
+        }
+        return `✗ ${letter} not in ${POSITION_NAMES[modifier.position] || modifier.position} position`;
+
+      case 'length': {
+        if (effect.applies) {
+          const effectText = formatEffectText(effect.multiplier, effect.bonus);
+          if (effect.lengthRule === 'min') return `✓ Word is ${letterCount} letters (≥${modifier.minLength}) → ${effectText}`;
+          if (effect.lengthRule === 'max') return `✓ Word is ${letterCount} letters (≤${modifier.maxLength}) → ${effectText}`;
+          return `✓ Word is exactly ${letterCount} letters → ${effectText}`;
+        }
+        const needed = modifier.minLength
+          ? `≥${modifier.minLength}`
+          : (modifier.maxLength ? `≤${modifier.maxLength}` : `=${modifier.exactLength}`);
+        return `✗ Word is ${letterCount} letters (need ${needed})`;
+      }
+
+      case 'parity':
+        if (effect.applies) {
+          return `✓ Word has ${letterCount} (${modifier.parity}) letters → ${formatBonusValue(modifier.bonus)}`;
+        }
+        return `✗ Word has ${letterCount} letters (not ${modifier.parity})`;
+
+      case 'neighbor':
+        if (effect.applies) {
+          return `✓ ${letter} is next to a vowel → ×${modifier.multiplier}`;
+        }
+        return `✗ ${letter} not next to a vowel`;
+
+      case 'composition': {
+        const v = effect.vowelCount;
+        const c = effect.consonantCount;
+        const bonusText = formatBonusValue(modifier.bonus);
+        switch (modifier.compositionType) {
+          case 'balanced':
+            return effect.applies ? `✓ Balanced: ${v}V = ${c}C → ${bonusText}` : `✗ Not balanced: ${v}V ≠ ${c}C`;
+          case 'vowelRich':
+            return effect.applies ? `✓ Vowel Rich: ${v}V > ${c}C → ${bonusText}` : `✗ Not vowel-rich: ${v}V ≤ ${c}C`;
+          case 'vowelCount':
+            return effect.applies ? `✓ Vowels: ${v} (≥${modifier.minVowels}) → ${bonusText}` : `✗ Vowels: ${v} (need ≥${modifier.minVowels})`;
+          case 'consonantCount':
+            return effect.applies ? `✓ Consonants: ${c} (≥${modifier.minConsonants}) → ${bonusText}` : `✗ Consonants: ${c} (need ≥${modifier.minConsonants})`;
+        }
+        return '';
+      }
+
+      case 'bonus':
+        return `✓ Bonus: ${formatBonusValue(modifier.bonus)} points`;
+    }
+
+    return '';
+  }
+
+  return {
+    DEFAULT_VOWELS,
+    makeTile,
+    isVowelChar,
+    wordFromSequence,
+    evaluateModifier,
+    computeScore,
+    scoreSequence,
+    describeModifier,
+  };
+});
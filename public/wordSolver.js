@@ -0,0 +1,350 @@
+// Word index (packed DAWG) and best-word solver for Scrabble Hold'em.
+// Shared by the server (require), the player page and the best-word worker.
+//
+// The dictionary is a DAWG - a prefix trie with identical suffix subtrees
+// merged - packed into one Uint32Array of edges. The same bytes are the
+// binary wire format served by /api/dictionary/dawg, so browsers "decode" it
+// by viewing the downloaded buffer, with no per-word parsing or Set building.
+//
+// The solver walks tiles and the DAWG together, so any prefix that can't
+// start a dictionary word is abandoned immediately instead of exploring every
+// permutation of all 8 tiles.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./scoring'));
+  } else {
+    root.WordSolver = factory(root.Scoring);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Scoring) {
+  const NO_NODE = -1;
+
+  // Edge layout (32 bits): [0-5] alphabet index, [6] edge ends a word,
+  // [7] last edge in its block, [8-31] start of the child block (0 = none).
+  // Edge 0 is a sentinel whose child block is the root's children, so walking
+  // from state 0 is the same as walking from any other edge.
+  const CHAR_MASK = 0x3f;
+  const TERMINAL_BIT = 0x40;
+  const LAST_BIT = 0x80;
+  const CHILD_SHIFT = 8;
+  const MAX_ALPHABET = CHAR_MASK + 1;
+
+  // Binary format: header, alphabet (u16 char codes), padding to 4 bytes, edges (u32 LE)
+  const MAGIC = 'SHDW';
+  const FORMAT_VERSION = 1;
+  const HEADER_BYTES = 20;
+
+  // FNV-1a over a string; identifies a word list (ETags, stale-build checks)
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Build a plain sibling-list trie from sorted, de-duplicated words
+  function buildTrie(list, totalChars) {
+    const capacity = totalChars + 1;
+    const chars = new Uint16Array(capacity);
+    const firstChild = new Int32Array(capacity).fill(NO_NODE);
+    const nextSibling = new Int32Array(capacity).fill(NO_NODE);
+    const terminal = new Uint8Array(capacity);
+    // Last child added to each node; with sorted input, a matching child is always the last one
+    const lastChild = new Int32Array(capacity).fill(NO_NODE);
+    let nodeCount = 1;
+
+    for (const word of list) {
+      let node = 0;
+      for (let i = 0; i < word.length; i++) {
+        const code = word.charCodeAt(i);
+        const last = lastChild[node];
+        if (last !== NO_NODE && chars[last] === code) {
+          node = last;
+          continue;
+        }
+        const child = nodeCount++;
+        chars[child] = code;
+        if (last === NO_NODE) {
+          firstChild[node] = child;
+        } else {
+          nextSibling[last] = child;
+        }
+        lastChild[node] = child;
+        node = child;
+      }
+      terminal[node] = 1;
+    }
+
+    return { chars, firstChild, nextSibling, terminal, nodeCount };
+  }
+
+  // Merge identical child blocks bottom-up and pack them into edges
+  function packTrie({ chars, firstChild, nextSibling, terminal, nodeCount }) {
+    const codes = new Set();
+    for (let node = 1; node < nodeCount; node++) codes.add(chars[node]);
+    const alphabet = Array.from(codes).sort((a, b) => a - b);
+    if (alphabet.length > MAX_ALPHABET) {
+      throw new Error(`Alphabet too large for DAWG (${alphabet.length} > ${MAX_ALPHABET} characters)`);
+    }
+    const charIndex = new Map(alphabet.map((code, i) => [code, i]));
+
+    const edges = [0];
+    const blockOf = new Int32Array(nodeCount);
+    const blocks = new Map();
+
+    // Children always have higher ids than their parents, so walking ids
+    // downwards sees every child block before the block that points at it
+    for (let node = nodeCount - 1; node >= 0; node--) {
+      let child = firstChild[node];
+      if (child === NO_NODE) continue;
+
+      const parts = [];
+      for (; child !== NO_NODE; child = nextSibling[child]) {
+        parts.push(`${charIndex.get(chars[child])},${terminal[child]},${blockOf[child]}`);
+      }
+      const signature = parts.join(';');
+
+      let start = blocks.get(signature);
+      if (start === undefined) {
+        start = edges.length;
+        for (child = firstChild[node]; child !== NO_NODE; child = nextSibling[child]) {
+          let edge = charIndex.get(chars[child]) + blockOf[child] * (1 << CHILD_SHIFT);
+          if (terminal[child]) edge += TERMINAL_BIT;
+          if (nextSibling[child] === NO_NODE) edge += LAST_BIT;
+          edges.push(edge);
+        }
+        blocks.set(signature, start);
+      }
+      blockOf[node] = start;
+    }
+
+    if (edges.length >= 2 ** (32 - CHILD_SHIFT)) {
+      throw new Error('Dictionary too large for DAWG edge format');
+    }
+    edges[0] = blockOf[0] * (1 << CHILD_SHIFT);
+    return { alphabet, edges: Uint32Array.from(edges) };
+  }
+
+  const IS_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+  class WordTrie {
+    constructor({ alphabet, edges, size, sourceHash = 0 }) {
+      this.alphabet = Uint16Array.from(alphabet); // char code for each alphabet index
+      this.edges = edges;                          // Uint32Array, see edge layout above
+      this.size = size;                            // number of words
+      this.sourceHash = sourceHash;                // hash of the source word list
+      this.root = 0;
+    }
+
+    // Build from an iterable of words. Words are upper-cased; words shorter
+    // than minLength are skipped.
+    static fromWords(words, { minLength = 2, sourceHash = 0 } = {}) {
+      const list = [];
+      let totalChars = 0;
+      for (const raw of words) {
+        const word = String(raw).trim().toUpperCase();
+        if (word.length < minLength) continue;
+        list.push(word);
+        totalChars += word.length;
+      }
+      list.sort();
+      const unique = list.filter((word, i) => i === 0 || word !== list[i - 1]);
+
+      const { alphabet, edges } = packTrie(buildTrie(unique, totalChars));
+      return new WordTrie({ alphabet, edges, size: unique.length, sourceHash });
+    }
+
+    // Build from newline-separated text (the words.txt / /api/dictionary format)
+    static fromText(text, options = {}) {
+      return WordTrie.fromWords(text.split('\n'), { sourceHash: hashString(text), ...options });
+    }
+
+    // Decode the binary format produced by toBinary(). Accepts an ArrayBuffer,
+    // typed array or Node Buffer. Edges are used in place when aligned.
+    static fromBinary(data) {
+      const bytes = data instanceof ArrayBuffer
+        ? new Uint8Array(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+      const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+      if (bytes.byteLength < HEADER_BYTES || magic !== MAGIC) {
+        throw new Error('Not a packed dictionary');
+      }
+      const version = view.getUint8(4);
+      if (version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported dictionary format version ${version}`);
+      }
+
+      const alphabetLength = view.getUint8(5);
+      const size = view.getUint32(8, true);
+      const edgeCount = view.getUint32(12, true);
+      const sourceHash = view.getUint32(16, true);
+
+      const alphabet = [];
+      for (let i = 0; i < alphabetLength; i++) {
+        alphabet.push(view.getUint16(HEADER_BYTES + i * 2, true));
+      }
+
+      const edgesOffset = Math.ceil((HEADER_BYTES + alphabetLength * 2) / 4) * 4;
+      if (bytes.byteLength < edgesOffset + edgeCount * 4) {
+        throw new Error('Packed dictionary is truncated');
+      }
+
+      let edges;
+      const absoluteOffset = bytes.byteOffset + edgesOffset;
+      if (IS_LITTLE_ENDIAN && absoluteOffset % 4 === 0) {
+        edges = new Uint32Array(bytes.buffer, absoluteOffset, edgeCount);
+      } else {
+        edges = new Uint32Array(edgeCount);
+        for (let i = 0; i < edgeCount; i++) {
+          edges[i] = view.getUint32(edgesOffset + i * 4, true);
+        }
+      }
+
+      return new WordTrie({ alphabet, edges, size, sourceHash });
+    }
+
+    toBinary() {
+      const edgesOffset = Math.ceil((HEADER_BYTES + this.alphabet.length * 2) / 4) * 4;
+      const bytes = new Uint8Array(edgesOffset + this.edges.length * 4);
+      const view = new DataView(bytes.buffer);
+
+      for (let i = 0; i < MAGIC.length; i++) bytes[i] = MAGIC.charCodeAt(i);
+      view.setUint8(4, FORMAT_VERSION);
+      view.setUint8(5, this.alphabet.length);
+      view.setUint32(8, this.size, true);
+      view.setUint32(12, this.edges.length, true);
+      view.setUint32(16, this.sourceHash, true);
+      this.alphabet.forEach((code, i) => view.setUint16(HEADER_BYTES + i * 2, code, true));
+      this.edges.forEach((edge, i) => view.setUint32(edgesOffset + i * 4, edge, true));
+
+      return bytes;
+    }
+
+    get edgeCount() {
+      return this.edges.length;
+    }
+
+    // State reached from `state` along charCode, or -1
+    child(state, charCode) {
+      let e = this.edges[state] >>> CHILD_SHIFT;
+      if (e === 0) return NO_NODE;
+      for (;;) {
+        const edge = this.edges[e];
+        if (this.alphabet[edge & CHAR_MASK] === charCode) return e;
+        if (edge & LAST_BIT) return NO_NODE;
+        e++;
+      }
+    }
+
+    // Follow every character of str from state; -1 if the path leaves the dictionary
+    walk(state, str) {
+      let current = state;
+      for (let i = 0; i < str.length && current !== NO_NODE; i++) {
+        current = this.child(current, str.charCodeAt(i));
+      }
+      return current;
+    }
+
+    isWord(state) {
+      return state > 0 && (this.edges[state] & TERMINAL_BIT) !== 0;
+    }
+
+    has(word) {
+      if (typeof word !== 'string') return false;
+      return this.isWord(this.walk(this.root, word.toUpperCase()));
+    }
+  }
+
+  // Tiles for a round: community dice first, then the player's dice
+  function buildTiles(communityDice, playerDice) {
+    const tiles = [];
+    (communityDice || []).forEach((die, index) => {
+      if (!die || !die.letter) return;
+      tiles.push(Scoring.makeTile(die, 'community', index));
+    });
+    (playerDice || []).forEach((die, index) => {
+      if (!die || !die.letter) return;
+      tiles.push(Scoring.makeTile(die, 'player', index));
+    });
+    return tiles;
+  }
+
+  // Call visit(sequence, word) for every tile sequence that spells a dictionary
+  // word of 2+ letters and uses at least one player tile. The sequence array is
+  // reused between calls - copy it if you need to keep it.
+  function enumerateWords(trie, tiles, visit) {
+    const used = new Array(tiles.length).fill(false);
+    const sequence = [];
+
+    const dfs = (node, currentWord, usedPlayerTile) => {
+      for (let i = 0; i < tiles.length; i++) {
+        if (used[i]) continue;
+        const tile = tiles[i];
+
+        const nextNode = trie.walk(node, tile.letterUpper);
+        if (nextNode === NO_NODE) continue; // Dead prefix - nothing to find down here
+
+        used[i] = true;
+        sequence.push(tile);
+
+        const nextWord = currentWord + tile.letterUpper;
+        const nextUsedPlayerTile = usedPlayerTile || tile.source === 'player';
+
+        if (nextUsedPlayerTile && nextWord.length >= 2 && trie.isWord(nextNode)) {
+          visit(sequence, nextWord);
+        }
+
+        if (sequence.length < tiles.length) {
+          dfs(nextNode, nextWord, nextUsedPlayerTile);
+        }
+
+        sequence.pop();
+        used[i] = false;
+      }
+    };
+
+    dfs(trie.root, '', false);
+  }
+
+  // Ranking shared by every solver: higher score, then longer word, then alphabetical
+  function isBetterWord(word, score, bestWord, bestScore) {
+    if (score !== bestScore) return score > bestScore;
+    if (!bestWord) return true;
+    if (word.length !== bestWord.length) return word.length > bestWord.length;
+    return word < bestWord;
+  }
+
+  // Highest-scoring word for a round. Returns { word, score, tileIds } (word
+  // null if none); tileIds are in submission form, e.g. ['player-0', 'community-3'].
+  function findBestWord(trie, communityDice, playerDice, modifier, options) {
+    const tiles = buildTiles(communityDice, playerDice);
+    let bestWord = null;
+    let bestScore = 0;
+    let bestTileIds = [];
+
+    enumerateWords(trie, tiles, (sequence, word) => {
+      const score = Scoring.computeScore(sequence, modifier, options);
+      if (score < bestScore) return;
+      if (isBetterWord(word, score, bestWord, bestScore)) {
+        bestWord = word;
+        bestScore = score;
+        bestTileIds = sequence.map(tile => `${tile.source}-${tile.index}`);
+      }
+    });
+
+    return { word: bestWord, score: bestScore, tileIds: bestTileIds };
+  }
+
+  return {
+    FORMAT_VERSION,
+    WordTrie,
+    hashString,
+    buildTiles,
+    enumerateWords,
+    isBetterWord,
+    findBestWord,
+  };
+});
@@ -0,0 +1,131 @@
+// Benchmark: DAWG-pruned best-word solver vs. the old brute-force permutation DFS.
+// Usage: node scripts/benchSolver.js [rounds] [seed]
+// Checks both solvers agree on every round, then prints timings.
+const fs = require('fs');
+const path = require('path');
+const Scoring = require('../public/scoring');
+const WordSolver = require('../public/wordSolver');
+
+const rounds = Number(process.argv[2]) || 30;
+let seed = Number(process.argv[3]) || 12345;
+
+// Small deterministic PRNG so runs are comparable
+function random() {
+  seed = (seed * 1664525 + 1013904223) >>> 0;
+  return seed / 4294967296;
+}
+
+// Same letter distribution and points as the game's deck
+const DECK = {
+  A: [4, 1], E: [5, 1], I: [4, 1], O: [4, 1], U: [3, 1],
+  B: [2, 2], C: [2, 2], D: [3, 2], F: [2, 3], G: [2, 2], H: [2, 2],
+  J: [1, 4], K: [1, 3], L: [3, 1], M: [2, 2], N: [3, 1], P: [2, 2],
+  Qu: [1, 4], R: [3, 1], S: [3, 1], T: [3, 1], V: [2, 3], W: [2, 3],
+  X: [1, 4], Y: [2, 3], Z: [1, 4],
+};
+const deck = [];
+for (const [letter, [count, points]] of Object.entries(DECK)) {
+  for (let i = 0; i < count; i++) deck.push({ letter, points });
+}
+
+const MODIFIERS = [
+  { type: 'multiply', multiplier: 3 },
+  { type: 'position', position: 'start', multiplier: 2 },
+  { type: 'length', minLength: 6, multiplier: 1, bonus: 7 },
+  { type: 'neighbor', neighborType: 'vowel', multiplier: 2 },
+  { type: 'composition', compositionType: 'vowelRich', multiplier: 1, bonus: 6 },
+];
+
+function randomRound() {
+  const draw = () => ({ ...deck[Math.floor(random() * deck.length)] });
+  return {
+    communityDice: Array.from({ length: 5 }, draw),
+    playerDice: Array.from({ length: 3 }, draw),
+    modifier: { ...MODIFIERS[Math.floor(random() * MODIFIERS.length)], dieIndex: Math.floor(random() * 5) },
+  };
+}
+
+// The previous solver: every permutation of every subset, Set lookup at each node
+function bruteForceBestWord(wordSet, communityDice, playerDice, modifier) {
+  const tiles = WordSolver.buildTiles(communityDice, playerDice);
+  const used = new Array(tiles.length).fill(false);
+  const sequence = [];
+  let bestWord = null;
+  let bestScore = 0;
+
+  const dfs = (currentWord, usedPlayerTile) => {
+    for (let i = 0; i < tiles.length; i++) {
+      if (used[i]) continue;
+      const tile = tiles[i];
+      used[i] = true;
+      sequence.push(tile);
+
+      const nextWord = currentWord + tile.letterUpper;
+      const nextUsedPlayerTile = usedPlayerTile || tile.source === 'player';
+      if (nextUsedPlayerTile && nextWord.length >= 2 && wordSet.has(nextWord)) {
+        const score = Scoring.computeScore(sequence, modifier);
+        if (WordSolver.isBetterWord(nextWord, score, bestWord, bestScore)) {
+          bestScore = score;
+          bestWord = nextWord;
+        }
+      }
+      if (sequence.length < tiles.length) dfs(nextWord, nextUsedPlayerTile);
+
+      sequence.pop();
+      used[i] = false;
+    }
+  };
+
+  dfs('', false);
+  return { word: bestWord, score: bestScore };
+}
+
+const text = fs.readFileSync(path.join(__dirname, '..', 'data', 'words.txt'), 'utf8');
+
+let start = process.hrtime.bigint();
+const wordSet = new Set(text.split('\n').map(w => w.trim().toUpperCase()).filter(w => w.length >= 2));
+const setBuildMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+start = process.hrtime.bigint();
+const trie = WordSolver.WordTrie.fromText(text);
+const trieBuildMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+console.log(`Dictionary: ${trie.size} words, ${trie.edgeCount} DAWG edges (${(trie.edgeCount * 4 / 1024).toFixed(0)} KB)`);
+console.log(`Build: Set ${setBuildMs.toFixed(0)}ms, DAWG ${trieBuildMs.toFixed(0)}ms\n`);
+
+let bruteTotal = 0;
+let trieTotal = 0;
+let bruteWorst = 0;
+let trieWorst = 0;
+let mismatches = 0;
+
+for (let r = 0; r < rounds; r++) {
+  const round = randomRound();
+
+  start = process.hrtime.bigint();
+  const expected = bruteForceBestWord(wordSet, round.communityDice, round.playerDice, round.modifier);
+  const bruteMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  start = process.hrtime.bigint();
+  const actual = WordSolver.findBestWord(trie, round.communityDice, round.playerDice, round.modifier);
+  const trieMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  bruteTotal += bruteMs;
+  trieTotal += trieMs;
+  bruteWorst = Math.max(bruteWorst, bruteMs);
+  trieWorst = Math.max(trieWorst, trieMs);
+
+  if (expected.word !== actual.word || expected.score !== actual.score) {
+    mismatches++;
+    const letters = [...round.communityDice, ...round.playerDice].map(d => d.letter).join(' ');
+    console.log(`MISMATCH [${letters}]: brute ${expected.word}/${expected.score}, trie ${actual.word}/${actual.score}`);
+  }
+}
+
+console.log(`Rounds:        ${rounds}`);
+console.log(`Brute force:   avg ${(bruteTotal / rounds).toFixed(1)}ms, worst ${bruteWorst.toFixed(1)}ms`);
+console.log(`DAWG solver:   avg ${(trieTotal / rounds).toFixed(1)}ms, worst ${trieWorst.toFixed(1)}ms`);
+console.log(`Speedup:       ${(bruteTotal / trieTotal).toFixed(1)}x`);
+console.log(`Mismatches:    ${mismatches}`);
+
+process.exitCode = mismatches > 0 ? 1 : 0;
@@ -0,0 +1,58 @@
+// Pack word lists into .dawg files (the binary served by /api/dictionary/dawg).
+// Usage: node scripts/buildDictionary.js                    every list in data/dictionaries.json
+//        node scripts/buildDictionary.js <list.txt> [lang]  one file, written next to it
+// Optional: the server packs a list itself at boot when its .dawg is missing or stale.
+const fs = require('fs');
+const path = require('path');
+const WordSolver = require('../public/wordSolver');
+const { readManifest, packWordList, packedPathFor } = require('../lib/dictionaryRegistry');
+const { createLanguageRegistry, normalizeWord } = require('../lib/languagePacks');
+
+const dataDir = path.join(__dirname, '..', 'data');
+const languages = createLanguageRegistry({ dir: path.join(dataDir, 'languages') });
+
+function buildList(textPath, pack) {
+  const start = process.hrtime.bigint();
+  const text = fs.readFileSync(textPath, 'utf8');
+  const trie = packWordList(text, pack);
+  const bytes = trie.toBinary();
+
+  // Sanity check: the packed file must decode to the same word list
+  const decoded = WordSolver.WordTrie.fromBinary(bytes);
+  const missing = text.split('\n')
+    .map(raw => normalizeWord(pack, raw))
+    .filter(word => word && word.length >= 2 && !decoded.has(word));
+  if (missing.length > 0 || decoded.size !== trie.size) {
+    throw new Error(`packed list failed verification (${missing.length} words missing, e.g. ${missing.slice(0, 5).join(', ')})`);
+  }
+
+  const output = packedPathFor(textPath);
+  fs.writeFileSync(output, bytes);
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${path.relative(process.cwd(), output)} (${pack.id}): ${trie.size} words, ${trie.edgeCount} edges, ` +
+    `${Math.round(bytes.length / 1024)} KB (text ${Math.round(Buffer.byteLength(text) / 1024)} KB) in ${ms.toFixed(0)}ms`);
+}
+
+const inputs = process.argv[2]
+  ? [{ textPath: path.resolve(process.argv[2]), language: process.argv[3] }]
+  : readManifest(path.join(dataDir, 'dictionaries.json')).lists
+    .map(list => ({ textPath: path.resolve(dataDir, list.file), language: list.language }))
+    .filter(({ textPath }) => {
+      if (fs.existsSync(textPath)) return true;
+      console.log(`Skipping ${path.relative(process.cwd(), textPath)} (not installed)`);
+      return false;
+    });
+
+let failed = false;
+inputs.forEach(({ textPath, language }) => {
+  try {
+    const pack = languages.get(String(language || languages.defaultId).toLowerCase());
+    if (!pack) throw new Error(`unknown language ${JSON.stringify(language)}`);
+    buildList(textPath, pack);
+  } catch (err) {
+    console.error(`${path.relative(process.cwd(), textPath)}: ${err.message}`);
+    failed = true;
+  }
+});
+
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,52 @@
+// Turn a big word list into a data/ list for a language: keeps lowercase words
+// its pack's tiles can spell with at most a round's dice, uppercased and sorted.
+// Usage: node scripts/importWordList.js <lang> <words.json|words.txt> <out.txt>
+//   words.json is a JSON array of words (e.g. an-array-of-spanish-words' index.json),
+//   words.txt one word per line
+// Run `npm run build:dictionary` afterwards to pack the new list.
+const fs = require('fs');
+const path = require('path');
+const { createLanguageRegistry, normalizeWord } = require('../lib/languagePacks');
+
+// 5 community dice + 3 private dice
+const MAX_TILES = 8;
+
+const [languageId, inputPath, outputPath] = process.argv.slice(2);
+if (!languageId || !inputPath || !outputPath) {
+  console.error('Usage: node scripts/importWordList.js <lang> <words.json|words.txt> <out.txt>');
+  process.exit(1);
+}
+
+const languages = createLanguageRegistry({ dir: path.join(__dirname, '..', 'data', 'languages') });
+const pack = languages.get(languageId);
+if (!pack) {
+  console.error(`Unknown language "${languageId}"`);
+  process.exit(1);
+}
+
+// Tiles a word needs at best: each digraph tile (Ch, Ll, Qu...) covers two letters
+const digraphs = pack.tiles.map(tile => tile.letter.toUpperCase()).filter(letter => [...letter].length > 1);
+function countTiles(word) {
+  let tiles = 0;
+  for (let i = 0; i < word.length; tiles++) {
+    i += digraphs.some(digraph => word.startsWith(digraph, i)) ? 2 : 1;
+  }
+  return tiles;
+}
+
+const text = fs.readFileSync(inputPath, 'utf8');
+const raw = inputPath.endsWith('.json') ? JSON.parse(text) : text.split('\n');
+
+const words = new Set();
+raw.forEach(entry => {
+  const word = String(entry).trim();
+  // Lowercase only: capitalised entries are names and places
+  if (!word || word !== word.toLowerCase() || /[^\p{L}]/u.test(word)) return;
+  const spelled = normalizeWord(pack, word);
+  if (!spelled || spelled.length < 2 || countTiles(spelled) > MAX_TILES) return;
+  words.add(word.toUpperCase());
+});
+
+const sorted = Array.from(words).sort();
+fs.writeFileSync(outputPath, sorted.join('\n') + '\n');
+console.log(`${path.relative(process.cwd(), outputPath)} (${pack.id}): ${sorted.length} of ${raw.length} words`);
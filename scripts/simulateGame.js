@@ -0,0 +1,92 @@
+// Play a whole game headless: the game engine on a manual clock, no server or sockets.
+// Usage: node scripts/simulateGame.js [rounds] [seed] [bots]
+// One in-process player plays the solver's best word every round, after a
+// think time, against built-in bots (alternating hard and easy). The seed also
+// drives lobby codes, ids and bot names, so the same seed plays the same game.
+// Prints each round's words and the final standings. LOG_LEVEL=info shows the engine's log.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const path = require('path');
+const WordSolver = require('../public/wordSolver');
+const { createLanguageRegistry } = require('../lib/languagePacks');
+const { createDictionaryRegistry } = require('../lib/dictionaryRegistry');
+const { createManualClock } = require('../lib/clock');
+const { createRandom } = require('../lib/random');
+const { GameEngine, getVisibleCommunityDice, getVisibleModifier } = require('../lib/gameEngine');
+
+const rounds = Number(process.argv[2]) || 5;
+const seed = process.argv[3] || 'simulation';
+const botCount = Number(process.argv[4]) || 3;
+
+// One clock step; bots and timers only act when the clock moves
+const TICK_MS = 1000;
+// Round seconds before the in-process player submits (the first word halves the timer)
+const PLAYER_THINK_SECONDS = 30;
+const MAX_TICKS = 24 * 60 * 60; // a simulated day is plenty for any game
+
+const dataDir = path.join(__dirname, '..', 'data');
+const languages = createLanguageRegistry({ dir: path.join(dataDir, 'languages') });
+const dictionaries = createDictionaryRegistry({ dataDir, languages });
+
+const clock = createManualClock();
+const engine = new GameEngine({ languages, dictionaries, clock, random: createRandom(`${seed}:engine`) });
+
+engine.on('roundRevealed', (lobby, results) => {
+  console.log(`Round ${lobby.roundNumber}/${lobby.settings.totalRounds}: ${lobby.communityDice.map(d => d.letter).join(' ')}`);
+  results.forEach(r => {
+    const word = r.noSubmission ? '(no word)' : r.word;
+    console.log(`  ${r.name.padEnd(16)} ${String(word).padEnd(12)} ${String(r.score || 0).padStart(3)} pts  +${r.pointsEarned || 0}`);
+  });
+});
+
+engine.on('gameFinished', (lobby, standings) => {
+  console.log('\nFinal standings');
+  standings.forEach((s, i) => {
+    const optimal = s.avgOptimal === null ? '' : `  (${s.avgOptimal}% of optimal)`;
+    console.log(`  ${i + 1}. ${s.name.padEnd(16)} ${String(s.totalPoints).padStart(3)}${optimal}`);
+  });
+});
+
+// The in-process player's move: the best word for their dice on the visible board
+function playBestWord(lobby, visibleId) {
+  const player = lobby.players.get(visibleId);
+  const best = WordSolver.findBestWord(engine.getLobbyDictionary(lobby).trie, getVisibleCommunityDice(lobby),
+    player.dice, getVisibleModifier(lobby), engine.getScoringOptions(lobby));
+  if (!best.word) return;
+
+  const result = engine.submit(lobby.code, visibleId, { tileIds: best.tileIds, word: best.word });
+  if (!result.ok) console.error(`Solver word ${best.word} rejected: ${result.error}`);
+}
+
+const { lobby, visibleId } = engine.createLobby({ name: 'Solver' });
+engine.updateSettings(lobby.code, visibleId, { totalRounds: rounds, seed });
+for (let i = 0; i < botCount; i++) {
+  engine.addBot(lobby.code, visibleId, { difficulty: i % 2 === 0 ? 'hard' : 'easy' });
+}
+
+const started = engine.startGame(lobby.code, visibleId);
+if (!started.ok) {
+  console.error(`Could not start: ${started.error}`);
+  process.exit(1);
+}
+
+let ticks = 0;
+while (lobby.status === 'playing' && ticks++ < MAX_TICKS) {
+  clock.advance(TICK_MS);
+  if (lobby.roundNumber === 0) continue; // start countdown
+
+  if (!lobby.revealed) {
+    const elapsed = lobby.settings.timerDuration - lobby.timerRemaining;
+    if (elapsed >= PLAYER_THINK_SECONDS && !lobby.playerSubmissions.has(visibleId)) playBestWord(lobby, visibleId);
+  } else if (lobby.roundNumber >= lobby.settings.totalRounds) {
+    engine.showFinalResults(lobby.code, visibleId);
+  } else {
+    engine.nextRound(lobby.code, visibleId);
+  }
+}
+
+if (lobby.status !== 'finished') {
+  console.error(`Game did not finish after ${MAX_TICKS} simulated seconds`);
+  process.exit(1);
+}
+console.log(`\nSeed ${lobby.seed}, ${Math.round((clock.now() - lobby.createdAt) / 1000)} simulated seconds`);
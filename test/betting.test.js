@@ -0,0 +1,209 @@
+// lib/betting.js on its own: pots and payouts from a table of hands, then the
+// betting rules a street is played by.
+const test = require('node:test');
+const assert = require('node:assert');
+const Betting = require('../lib/betting');
+
+// A hand that has reached showdown. Seats are "<id> <stack>/<committed>", with a
+// trailing "f" for a player who folded: C 200/80 started with 200 and put in 80.
+function showdown(spec) {
+  const tokens = spec.split(' ');
+  const seats = [];
+  for (let i = 0; i < tokens.length; i += 2) {
+    const [, stack, committed, folded] = tokens[i + 1].match(/^(\d+)\/(\d+)(f?)$/);
+    seats.push({ id: tokens[i], stack: Number(stack), committed: Number(committed), folded: folded === 'f' });
+  }
+
+  const state = Betting.startHand({ players: seats });
+  seats.forEach(({ id, committed, folded }) => {
+    const seat = Betting.getSeat(state, id);
+    seat.stack -= committed;
+    seat.committed = committed;
+    seat.allIn = seat.stack === 0;
+    seat.folded = folded;
+  });
+  return state;
+}
+
+const chips = state => state.seats.reduce((sum, seat) => sum + seat.stack + seat.committed, 0);
+
+const HANDS = [
+  {
+    name: '3-way all-in with different stacks',
+    seats: 'A 30/30 B 80/80 C 150/150',
+    scores: { A: 12, B: 9, C: 4 },
+    pots: [
+      { amount: 90, eligible: ['A', 'B', 'C'], winners: ['A'] },
+      { amount: 100, eligible: ['B', 'C'], winners: ['B'] },
+      { amount: 70, eligible: ['C'], winners: ['C'] },
+    ],
+    stacks: { A: 90, B: 100, C: 70 },
+  },
+  {
+    name: 'all-ins against a covering stack',
+    seats: 'A 30/30 B 80/80 C 200/80',
+    scores: { A: 5, B: 6, C: 7 },
+    pots: [
+      { amount: 90, eligible: ['A', 'B', 'C'], winners: ['C'] },
+      { amount: 100, eligible: ['B', 'C'], winners: ['C'] },
+    ],
+    stacks: { A: 0, B: 0, C: 310 },
+  },
+  {
+    name: 'a folded contributor below the all-in',
+    seats: 'A 100/20f B 50/50 C 100/50',
+    scores: { A: 99, B: 5, C: 7 },
+    pots: [
+      { amount: 120, eligible: ['B', 'C'], winners: ['C'] },
+    ],
+    stacks: { A: 80, B: 0, C: 170 },
+  },
+  {
+    name: 'a folded contributor above the all-in',
+    seats: 'A 100/80f B 50/50 C 100/80',
+    scores: { A: 99, B: 10, C: 3 },
+    pots: [
+      { amount: 150, eligible: ['B', 'C'], winners: ['B'] },
+      { amount: 60, eligible: ['C'], winners: ['C'] },
+    ],
+    stacks: { A: 20, B: 150, C: 80 },
+  },
+  {
+    name: 'a tie with an odd chip',
+    seats: 'A 50/25 B 50/25 C 50/25',
+    scores: { C: 10, B: 5, A: 10 },
+    pots: [
+      // 75 split two ways: the odd chip goes to the earliest seat
+      { amount: 75, eligible: ['A', 'B', 'C'], winners: ['A', 'C'], share: 37 },
+    ],
+    stacks: { A: 63, B: 25, C: 62 },
+  },
+  {
+    name: 'a tie in the side pot only',
+    seats: 'A 20/20 B 60/60 C 60/60',
+    scores: { A: 9, B: 4, C: 4 },
+    pots: [
+      { amount: 60, eligible: ['A', 'B', 'C'], winners: ['A'] },
+      { amount: 80, eligible: ['B', 'C'], winners: ['B', 'C'], share: 40 },
+    ],
+    stacks: { A: 60, B: 40, C: 40 },
+  },
+  {
+    name: 'a missing score counts as nothing',
+    seats: 'A 40/40 B 40/40',
+    scores: { B: 0.5 },
+    pots: [
+      { amount: 80, eligible: ['A', 'B'], winners: ['B'] },
+    ],
+    stacks: { A: 0, B: 80 },
+  },
+];
+
+HANDS.forEach(hand => {
+  test(`settles ${hand.name}`, () => {
+    const state = showdown(hand.seats);
+    const total = chips(state);
+
+    assert.deepStrictEqual(Betting.buildPots(state), hand.pots.map(({ amount, eligible }) => ({ amount, eligible })));
+
+    const pots = Betting.settle(state, hand.scores);
+    pots.forEach((pot, i) => {
+      assert.deepStrictEqual(pot.winners, hand.pots[i].winners);
+      if ('share' in hand.pots[i]) assert.strictEqual(pot.share, hand.pots[i].share);
+    });
+    const stacks = Object.fromEntries(state.seats.map(seat => [seat.id, seat.stack]));
+    assert.deepStrictEqual(stacks, hand.stacks);
+    assert.strictEqual(chips(state), total, 'no chips made or lost');
+    assert.strictEqual(Betting.getPot(state), 0);
+  });
+});
+
+// A, B and C with 100 each, a 5 ante and a 10 minimum bet, on the flop
+function flop(stacks = { A: 100, B: 100, C: 100 }) {
+  const players = Object.entries(stacks).map(([id, stack]) => ({ id, stack }));
+  return Betting.startStreet(Betting.startHand({ players, ante: 5, minBet: 10 }), 'flop');
+}
+
+test('lists the legal actions for whoever is to act', () => {
+  const state = flop();
+  assert.strictEqual(state.toAct, 'A');
+  assert.strictEqual(Betting.legalActions(state, 'B'), null, 'not B\'s turn');
+  assert.deepStrictEqual(Betting.legalActions(state, 'A'), {
+    canCheck: true, toCall: 0, canBet: true, canRaise: false, minTo: 10, maxTo: 95,
+  });
+
+  assert.ok(Betting.applyAction(state, 'A', { action: 'bet', amount: 20 }).ok);
+  assert.deepStrictEqual(Betting.legalActions(state, 'B'), {
+    canCheck: false, toCall: 20, canBet: false, canRaise: true, minTo: 40, maxTo: 95,
+  });
+  assert.deepStrictEqual(Betting.applyAction(state, 'B', { action: 'check' }), { ok: false, error: 'cannot_check' });
+  assert.deepStrictEqual(Betting.applyAction(state, 'B', { action: 'bet', amount: 40 }), { ok: false, error: 'cannot_bet' });
+  assert.deepStrictEqual(Betting.applyAction(state, 'C', { action: 'call' }), { ok: false, error: 'not_your_turn' });
+  assert.deepStrictEqual(Betting.applyAction(state, 'B', { action: 'shove' }), { ok: false, error: 'unknown_action' });
+  [40.5, '40', 1e308, NaN].forEach(amount => {
+    assert.deepStrictEqual(Betting.applyAction(state, 'B', { action: 'raise', amount }), { ok: false, error: 'bad_amount' });
+  });
+});
+
+test('a raise must be at least the last raise', () => {
+  const state = flop({ A: 100, B: 100, C: 45 });
+  assert.ok(Betting.applyAction(state, 'A', { action: 'bet', amount: 10 }).ok);
+  assert.ok(Betting.applyAction(state, 'B', { action: 'raise', amount: 30 }).ok);
+  assert.strictEqual(state.minRaise, 20);
+
+  // C can't make a full raise to 50, but can always go all-in
+  assert.strictEqual(Betting.legalActions(state, 'C').minTo, 40);
+  assert.ok(Betting.applyAction(state, 'C', { action: 'raise', amount: 40 }).ok);
+  assert.ok(state.seats.find(seat => seat.id === 'C').allIn);
+  assert.strictEqual(state.currentBet, 40);
+  assert.strictEqual(state.minRaise, 20, 'a short all-in leaves the minimum raise alone');
+
+  assert.deepStrictEqual(Betting.legalActions(state, 'A'), {
+    canCheck: false, toCall: 30, canBet: false, canRaise: true, minTo: 60, maxTo: 95,
+  });
+  assert.deepStrictEqual(Betting.applyAction(state, 'A', { action: 'raise', amount: 59 }), { ok: false, error: 'bad_amount' });
+  assert.deepStrictEqual(Betting.applyAction(state, 'A', { action: 'raise', amount: 96 }), { ok: false, error: 'bad_amount' });
+  assert.ok(Betting.applyAction(state, 'A', { action: 'raise', amount: 60 }).ok);
+  assert.strictEqual(state.toAct, 'B', 'the all-in player is skipped');
+});
+
+test('the street closes once everyone has matched the bet', () => {
+  const state = flop();
+  assert.ok(Betting.applyAction(state, 'A', { action: 'check' }).ok);
+  assert.ok(Betting.applyAction(state, 'B', { action: 'bet', amount: 10 }).ok);
+  assert.ok(Betting.applyAction(state, 'C', { action: 'call' }).ok);
+  assert.strictEqual(state.streetClosed, false, 'A still has to answer the bet');
+  assert.ok(Betting.applyAction(state, 'A', { action: 'call' }).ok);
+  assert.strictEqual(state.streetClosed, true);
+  assert.strictEqual(Betting.getPot(state), 45);
+
+  Betting.startStreet(state, 'turn');
+  assert.strictEqual(state.toAct, 'A');
+  assert.strictEqual(state.currentBet, 0);
+});
+
+test('folding to a bet wins the pot whatever the words', () => {
+  const state = flop();
+  assert.ok(Betting.applyAction(state, 'A', { action: 'bet', amount: 10 }).ok);
+  assert.ok(Betting.applyAction(state, 'B', { action: 'fold' }).ok);
+  assert.ok(Betting.applyAction(state, 'C', { action: 'fold' }).ok);
+  assert.ok(Betting.isHandDecided(state));
+  assert.strictEqual(state.streetClosed, true);
+  assert.strictEqual(state.toAct, null);
+
+  const [pot] = Betting.settle(state, { A: 1, B: 50, C: 50 });
+  assert.deepStrictEqual(pot.winners, ['A']);
+  assert.deepStrictEqual(state.seats.map(seat => seat.stack), [110, 95, 95]);
+});
+
+test('a player out of time checks if free, otherwise folds', () => {
+  const state = flop();
+  assert.deepStrictEqual(Betting.timeoutAction(state, 'A'), { action: 'check' });
+  assert.strictEqual(Betting.timeoutAction(state, 'B'), null);
+  assert.ok(Betting.applyAction(state, 'A', { action: 'bet', amount: 10 }).ok);
+  assert.deepStrictEqual(Betting.timeoutAction(state, 'B'), { action: 'fold' });
+
+  // Leaving mid-hand folds and passes the turn on
+  Betting.removePlayer(state, 'B');
+  assert.strictEqual(state.toAct, 'C');
+});
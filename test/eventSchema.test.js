@@ -0,0 +1,62 @@
+// lib/eventSchema.js: what validatePayload lets through to a socket handler,
+// and what it turns back. Rows are { schema, payload } with either the cleaned
+// value or the error the client gets.
+const test = require('node:test');
+const assert = require('node:assert');
+const { validatePayload } = require('../lib/eventSchema');
+
+const NAME = { type: 'string', minLength: 1, maxLength: 5, pattern: /^[a-z ]+$/ };
+const DIE = { type: 'integer', min: 0, max: 2 };
+
+const CASES = [
+  // Cleaning
+  { name: 'trims strings', schema: { name: NAME }, payload: { name: '  ana ' }, value: { name: 'ana' } },
+  { name: 'drops unknown fields', schema: { name: NAME }, payload: { name: 'ana', isHost: true, visibleId: 'player_1' }, value: { name: 'ana' } },
+  { name: 'skips missing optional fields', schema: { name: { ...NAME, optional: true } }, payload: {}, value: {} },
+  { name: 'skips null optional fields', schema: { name: { ...NAME, optional: true } }, payload: { name: null }, value: {} },
+  { name: 'takes no payload as empty', schema: {}, payload: undefined, value: {} },
+  { name: 'checks every array item', schema: { ids: { type: 'array', maxItems: 3, items: { type: 'string', maxLength: 4 } } }, payload: { ids: [' a', 'b '] }, value: { ids: ['a', 'b'] } },
+  { name: 'takes the first oneOf rule that fits', schema: { x: { type: 'oneOf', rules: [DIE, { type: 'enum', values: ['all'] }] } }, payload: { x: 'all' }, value: { x: 'all' } },
+
+  // Wrong shapes and types
+  { name: 'an array payload', schema: {}, payload: [1], error: 'Payload must be an object' },
+  { name: 'a string payload', schema: {}, payload: 'hi', error: 'Payload must be an object' },
+  { name: 'a missing required field', schema: { name: NAME }, payload: {}, error: 'name is required' },
+  { name: 'a number for text', schema: { name: NAME }, payload: { name: 5 }, error: 'name must be text' },
+  { name: 'text for a number', schema: { dieIndex: DIE }, payload: { dieIndex: '1' }, error: 'dieIndex must be a number' },
+  { name: 'NaN', schema: { dieIndex: DIE }, payload: { dieIndex: NaN }, error: 'dieIndex must be a number' },
+  { name: 'a fraction for an integer', schema: { dieIndex: DIE }, payload: { dieIndex: 1.5 }, error: 'dieIndex must be a whole number' },
+  { name: 'a string for a boolean', schema: { on: { type: 'boolean' } }, payload: { on: 'true' }, error: 'on must be true or false' },
+  { name: 'an unknown option', schema: { mode: { type: 'enum', values: ['a', 'b'] } }, payload: { mode: 'c' }, error: "mode isn't a known option" },
+  { name: 'an object for a list', schema: { ids: { type: 'array', items: NAME } }, payload: { ids: { 0: 'a' } }, error: 'ids must be a list' },
+  { name: 'a bad array item', schema: { ids: { type: 'array', items: NAME } }, payload: { ids: ['a', 7] }, error: 'ids[1] must be text' },
+
+  // Out of range
+  { name: 'below min', schema: { dieIndex: DIE }, payload: { dieIndex: -1 }, error: 'dieIndex is out of range' },
+  { name: 'above max', schema: { dieIndex: DIE }, payload: { dieIndex: 3 }, error: 'dieIndex is out of range' },
+  { name: 'an empty string', schema: { name: NAME }, payload: { name: '   ' }, error: "name can't be empty" },
+  { name: 'a long string', schema: { name: NAME }, payload: { name: 'abcdef' }, error: 'name must be at most 5 characters' },
+  { name: 'a string off its pattern', schema: { name: NAME }, payload: { name: '<b>' }, error: "name has characters that aren't allowed" },
+  { name: 'too many items', schema: { ids: { type: 'array', maxItems: 2, items: NAME } }, payload: { ids: ['a', 'b', 'c'] }, error: 'ids has too many items' },
+  { name: 'no oneOf rule fits', schema: { x: { type: 'oneOf', rules: [DIE, { type: 'enum', values: ['all'] }] } }, payload: { x: 9 }, error: 'x is out of range' },
+];
+
+CASES.forEach(row => {
+  test(row.error ? `rejects ${row.name}` : row.name, () => {
+    const result = validatePayload(row.schema, row.payload);
+    if (row.error) {
+      assert.deepStrictEqual(result, { ok: false, error: row.error });
+    } else {
+      assert.deepStrictEqual(result, { ok: true, value: row.value });
+    }
+  });
+});
+
+test('a pattern can carry its own message', () => {
+  const schema = { code: { type: 'string', pattern: /^[A-Z]{4}$/, message: 'Lobby codes are 4 letters' } };
+  assert.deepStrictEqual(validatePayload(schema, { code: 'ab' }), { ok: false, error: 'Lobby codes are 4 letters' });
+});
+
+test('an unknown rule type is a bug in the schema, not the payload', () => {
+  assert.throws(() => validatePayload({ x: { type: 'date' } }, { x: 1 }), /Unknown schema rule type "date"/);
+});
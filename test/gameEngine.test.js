@@ -0,0 +1,177 @@
+// The engine on a manual clock, no server or sockets: whole rounds run in-process
+// and the tests look at the messages it emits and the lobby it leaves behind.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const WordSolver = require('../public/wordSolver');
+const { createLanguageRegistry } = require('../lib/languagePacks');
+const { createDictionaryRegistry } = require('../lib/dictionaryRegistry');
+const { createManualClock } = require('../lib/clock');
+const { GameEngine, getVisibleCommunityDice, getVisibleModifier, serializeLobby, hydrateLobby } = require('../lib/gameEngine');
+
+const dataDir = path.join(__dirname, '..', 'data');
+const languages = createLanguageRegistry({ dir: path.join(dataDir, 'languages') });
+const dictionaries = createDictionaryRegistry({ dataDir, languages });
+
+// An engine on its own clock, recording every message it emits
+function setup() {
+  const clock = createManualClock();
+  const engine = new GameEngine({ languages, dictionaries, clock });
+  const messages = [];
+  engine.on('broadcast', (lobby, message, data) => messages.push({ to: 'lobby', message, data }));
+  engine.on('send', (lobby, id, message, data) => messages.push({ to: id, message, data }));
+  engine.on('boards', (lobby, message, data) => messages.push({ to: 'boards', message, data }));
+  const named = (message, to) => messages.filter(m => m.message === message && (!to || m.to === to));
+  return { clock, engine, messages, named };
+}
+
+// Advance a second at a time until the round is revealed (or a minute past its timer)
+function playOutRound(clock, lobby) {
+  for (let i = 0; i < lobby.settings.timerDuration + 60 && !lobby.revealed; i++) {
+    clock.advance(1000);
+  }
+}
+
+function bestWordFor(engine, lobby, visibleId) {
+  return WordSolver.findBestWord(engine.getLobbyDictionary(lobby).trie, getVisibleCommunityDice(lobby),
+    lobby.players.get(visibleId).dice, getVisibleModifier(lobby), engine.getScoringOptions(lobby));
+}
+
+test('plays a round against a bot on a manual clock', () => {
+  const { clock, engine, messages, named } = setup();
+  const { lobby, visibleId } = engine.createLobby({ name: 'Ana' });
+  assert.strictEqual(named('lobbyCreated', visibleId).length, 1);
+  assert.ok(engine.updateSettings(lobby.code, visibleId, { totalRounds: 3, seed: 'engine-test' }).ok);
+  const bot = engine.addBot(lobby.code, visibleId, { difficulty: 'hard' });
+  assert.ok(bot.ok);
+
+  assert.ok(engine.startGame(lobby.code, visibleId).ok);
+  assert.strictEqual(named('gameStarting').length, 1);
+  assert.strictEqual(lobby.roundNumber, 0, 'the first round waits for the countdown');
+  clock.advance(3500);
+  assert.strictEqual(lobby.roundNumber, 1);
+  assert.strictEqual(named('newRound', visibleId).length, 1);
+
+  const best = bestWordFor(engine, lobby, visibleId);
+  assert.ok(best.word, 'the seed deals a board with a word on it');
+  assert.ok(engine.submit(lobby.code, visibleId, { tileIds: best.tileIds, word: best.word }).ok);
+  assert.strictEqual(named('submitConfirmed', visibleId).length, 1);
+
+  playOutRound(clock, lobby);
+  assert.ok(lobby.revealed);
+  const [reveal] = named('roundResults');
+  assert.ok(reveal, 'results go to the whole lobby');
+  assert.strictEqual(reveal.data.roundNumber, 1);
+  assert.deepStrictEqual(reveal.data.results.map(r => r.visibleId).sort(), [visibleId, bot.visibleId].sort());
+  const ana = reveal.data.results.find(r => r.visibleId === visibleId);
+  assert.strictEqual(ana.word, best.word);
+  assert.strictEqual(ana.score, best.score);
+
+  assert.ok(engine.nextRound(lobby.code, visibleId).ok);
+  assert.strictEqual(lobby.roundNumber, 2);
+  assert.strictEqual(named('newRound', visibleId).length, 2);
+
+  // Messages say what happened; mapping them to a transport is the adapter's job
+  messages.forEach(m => assert.match(m.message, /^[a-z][a-zA-Z]*$/));
+});
+
+test('bots still play when a player submits early and halves the timer', () => {
+  ['hurry-1', 'hurry-2', 'hurry-3', 'hurry-4', 'hurry-5'].forEach(seed => {
+    const { clock, engine, named } = setup();
+    const { lobby, visibleId } = engine.createLobby({ name: 'Ana' });
+    engine.updateSettings(lobby.code, visibleId, { seed });
+    const bots = ['easy', 'hard'].map(difficulty => engine.addBot(lobby.code, visibleId, { difficulty }).visibleId);
+    engine.startGame(lobby.code, visibleId);
+    clock.advance(3500);
+
+    clock.advance(1000);
+    const best = bestWordFor(engine, lobby, visibleId);
+    assert.ok(engine.submit(lobby.code, visibleId, { tileIds: best.tileIds, word: best.word }).ok);
+    assert.ok(lobby.timerRemaining < lobby.settings.timerDuration / 2, 'the first word halves the timer');
+
+    playOutRound(clock, lobby);
+    const [reveal] = named('roundResults');
+    bots.forEach(id => {
+      const result = reveal.data.results.find(r => r.visibleId === id);
+      assert.ok(!result.noSubmission, `${seed}: ${result.name} played before the reveal`);
+    });
+  });
+});
+
+test('reveals the round when the timer runs out', () => {
+  const { clock, engine, named } = setup();
+  const { lobby, visibleId } = engine.createLobby({ name: 'Ana' });
+  engine.startGame(lobby.code, visibleId);
+  clock.advance(3500);
+
+  clock.advance((lobby.settings.timerDuration - 1) * 1000);
+  assert.strictEqual(lobby.revealed, false);
+  assert.strictEqual(lobby.timerRemaining, 1);
+  clock.advance(1000);
+  assert.strictEqual(lobby.revealed, true);
+
+  assert.strictEqual(named('timerUpdate').length, lobby.settings.timerDuration);
+  const [reveal] = named('roundResults');
+  assert.strictEqual(reveal.data.results.length, 1);
+  assert.ok(reveal.data.results[0].noSubmission);
+  assert.strictEqual(clock.pending(), 0, 'nothing left running after the reveal');
+});
+
+test('snapshots leave out fun fact images', () => {
+  const { clock, engine } = setup();
+  const { lobby, visibleId } = engine.createLobby({ name: 'Ana' });
+  engine.startGame(lobby.code, visibleId);
+  clock.advance(3500 + lobby.settings.timerDuration * 1000);
+  assert.ok(lobby.revealed);
+
+  const image = 'data:image/png;base64,' + 'A'.repeat(1000);
+  lobby.currentFunFactImage = image;
+  lobby.roundHistory[0].funFactImage = image;
+  lobby.roundHistory[0].funFactImagePrompt = 'a prompt';
+
+  const snapshot = JSON.parse(JSON.stringify(serializeLobby(lobby)));
+  assert.ok(!('currentFunFactImage' in snapshot));
+  assert.ok(!('funFactImage' in snapshot.roundHistory[0]));
+  assert.strictEqual(snapshot.roundHistory[0].funFactImagePrompt, 'a prompt');
+  assert.strictEqual(lobby.roundHistory[0].funFactImage, image, 'the live lobby keeps its image');
+  assert.strictEqual(hydrateLobby(snapshot).currentFunFactImage, null);
+});
+
+test('the same seed deals the same round', () => {
+  const deal = () => {
+    const { clock, engine } = setup();
+    const { lobby, visibleId } = engine.createLobby({ name: 'Ana' });
+    engine.updateSettings(lobby.code, visibleId, { seed: 'same-seed' });
+    engine.startGame(lobby.code, visibleId);
+    clock.advance(3500);
+    return {
+      community: lobby.communityDice.map(d => d.letter),
+      player: lobby.players.get(visibleId).dice.map(d => d.letter),
+      modifier: lobby.modifier,
+    };
+  };
+  assert.deepStrictEqual(deal(), deal());
+});
+
+test('betting on a street holds the round timer', () => {
+  const { clock, engine } = setup();
+  const { lobby, visibleId } = engine.createLobby({ name: 'Ana' });
+  engine.addPlayer(lobby.code, { name: 'Ben' });
+  engine.addPlayer(lobby.code, { name: 'Cy' });
+  assert.ok(engine.updateSettings(lobby.code, visibleId, { roundMode: 'staged', betting: true }).ok);
+  engine.startGame(lobby.code, visibleId);
+  clock.advance(3500);
+
+  // Nobody acts: each player runs out their time to act on the flop, then the turn
+  const total = lobby.settings.timerDuration;
+  clock.advance(total * 1000);
+  assert.strictEqual(lobby.revealed, false);
+  assert.strictEqual(lobby.timerRemaining, total);
+  assert.strictEqual(lobby.betting.street, 'turn');
+
+  playOutRound(clock, lobby);
+  assert.strictEqual(lobby.revealed, true);
+  assert.strictEqual(lobby.revealedCount, lobby.communityDice.length, 'the river is dealt before the reveal');
+});
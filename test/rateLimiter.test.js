@@ -0,0 +1,82 @@
+// lib/rateLimiter.js on a hand-turned clock: bursts, refill, and the bookkeeping
+// the server's prune timer and disconnect handler rely on.
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../lib/rateLimiter');
+
+// A limiter whose clock only moves when the test says so
+function setup(limit) {
+  let time = 0;
+  const limiter = createRateLimiter({ ...limit, now: () => time });
+  const advance = ms => { time += ms; };
+  return { limiter, advance };
+}
+
+// How many in a row get through right now
+function burst(limiter, key, tries = 100) {
+  let allowed = 0;
+  for (let i = 0; i < tries; i++) {
+    if (limiter.take(key)) allowed++;
+  }
+  return allowed;
+}
+
+test('allows a burst up to capacity, then refuses', () => {
+  const { limiter } = setup({ capacity: 5, refillPerSecond: 1 });
+  assert.strictEqual(burst(limiter, 'a'), 5);
+  assert.strictEqual(limiter.take('a'), false);
+});
+
+test('refills at the refill rate, never past capacity', () => {
+  const { limiter, advance } = setup({ capacity: 5, refillPerSecond: 2 });
+  burst(limiter, 'a');
+
+  advance(400);
+  assert.strictEqual(limiter.take('a'), false, 'not a whole token yet');
+  advance(100);
+  assert.strictEqual(limiter.take('a'), true);
+  assert.strictEqual(limiter.take('a'), false);
+
+  advance(1500);
+  assert.strictEqual(burst(limiter, 'a'), 3);
+
+  advance(60 * 1000);
+  assert.strictEqual(burst(limiter, 'a'), 5, 'a long wait only fills the bucket');
+});
+
+test('slow refill rates and costs', () => {
+  const { limiter, advance } = setup({ capacity: 2, refillPerSecond: 1 / 30 });
+  assert.strictEqual(limiter.take('a', 3), false, 'more than the bucket holds');
+  assert.strictEqual(limiter.take('a', 2), true);
+  advance(29 * 1000);
+  assert.strictEqual(limiter.take('a'), false);
+  advance(1000);
+  assert.strictEqual(limiter.take('a'), true);
+});
+
+test('keeps a bucket per key', () => {
+  const { limiter } = setup({ capacity: 3, refillPerSecond: 1 });
+  assert.strictEqual(burst(limiter, 'a'), 3);
+  assert.strictEqual(burst(limiter, 'b'), 3);
+  assert.strictEqual(limiter.size, 2);
+});
+
+test('reset forgets a bucket', () => {
+  const { limiter } = setup({ capacity: 3, refillPerSecond: 1 });
+  burst(limiter, 'a');
+  limiter.reset('a');
+  assert.strictEqual(limiter.size, 0);
+  assert.strictEqual(burst(limiter, 'a'), 3, 'it starts full again');
+});
+
+test('prune drops only buckets that have refilled', () => {
+  const { limiter, advance } = setup({ capacity: 4, refillPerSecond: 1 });
+  burst(limiter, 'a');
+  advance(2000);
+  burst(limiter, 'b', 1);
+
+  advance(1000);
+  limiter.prune();
+  assert.strictEqual(limiter.size, 1, 'b is full again, a is still short');
+  assert.strictEqual(burst(limiter, 'a'), 3);
+});
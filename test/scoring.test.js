@@ -0,0 +1,103 @@
+// Golden table for public/scoring.js: the server, the best-word worker and the
+// player page all score with it, so any change to a modifier's rules shows up here.
+//
+// Tiles are written "<letter><points>", with a trailing * on the community die
+// that carries the modifier (dieIndex 0); the others are the player's dice.
+const test = require('node:test');
+const assert = require('node:assert');
+const Scoring = require('../public/scoring');
+
+function tiles(spec) {
+  return spec.split(' ').map((token, i) => {
+    const [, letter, points, star] = token.match(/^([A-Za-z]+)(\d+)(\*?)$/);
+    return star
+      ? Scoring.makeTile({ letter, points: Number(points) }, 'community', 0)
+      : Scoring.makeTile({ letter, points: Number(points) }, 'player', i);
+  });
+}
+
+const mod = (fields) => ({ dieIndex: 0, multiplier: 1, ...fields });
+
+const GOLDEN = [
+  // No modifier, or the modifier die left out of the word
+  { name: 'no modifier', tiles: 'D2 O1 G2', modifier: null, score: 5, breakdown: 'D(2) + O(1) + G(2) = 5' },
+  { name: 'modifier die unused', tiles: 'C3 A1 T1', modifier: mod({ type: 'multiply', multiplier: 3 }), score: 5, breakdown: 'C(3) + A(1) + T(1) = 5' },
+
+  // multiply
+  { name: 'multiply', tiles: 'C3* A1 T1', modifier: mod({ type: 'multiply', multiplier: 3 }), score: 11, breakdown: 'C×3(9) + A(1) + T(1) = 11' },
+  { name: 'multiply on Qu', tiles: 'Qu4* I1 T1', modifier: mod({ type: 'multiply', multiplier: 2 }), score: 10, breakdown: 'Qu×2(8) + I(1) + T(1) = 10' },
+
+  // position
+  { name: 'start', tiles: 'C3* A1 T1', modifier: mod({ type: 'position', position: 'start', multiplier: 2 }), score: 8, breakdown: 'C×2(6) + A(1) + T(1) = 8' },
+  { name: 'start, not first', tiles: 'A1 C3* T1', modifier: mod({ type: 'position', position: 'start', multiplier: 2 }), score: 5, breakdown: 'A(1) + C(3) + T(1) = 5' },
+  { name: 'end', tiles: 'C3 A1 T1*', modifier: mod({ type: 'position', position: 'end', multiplier: 2 }), score: 6, breakdown: 'C(3) + A(1) + T×2(2) = 6' },
+  { name: 'middle', tiles: 'C3 A1* T1', modifier: mod({ type: 'position', position: 'middle', multiplier: 3 }), score: 7, breakdown: 'C(3) + A×3(3) + T(1) = 7' },
+  { name: 'middle, at the end', tiles: 'C3 A1 T1*', modifier: mod({ type: 'position', position: 'middle', multiplier: 3 }), score: 5, breakdown: 'C(3) + A(1) + T(1) = 5' },
+  { name: 'second inside Qu', tiles: 'Qu4* I1 T1', modifier: mod({ type: 'position', position: 'second', multiplier: 2 }), score: 10, breakdown: 'Qu×2(8) + I(1) + T(1) = 10' },
+  { name: 'penultimate', tiles: 'B3 O1 A1* T1', modifier: mod({ type: 'position', position: 'penultimate', multiplier: 2 }), score: 7, breakdown: 'B(3) + O(1) + A×2(2) + T(1) = 7' },
+  { name: 'penultimate inside Qu', tiles: 'S1 Qu4*', modifier: mod({ type: 'position', position: 'penultimate', multiplier: 2 }), score: 9, breakdown: 'S(1) + Qu×2(8) = 9' },
+  { name: 'center, odd length', tiles: 'C3 A1* T1', modifier: mod({ type: 'position', position: 'center', multiplier: 3 }), score: 7, breakdown: 'C(3) + A×3(3) + T(1) = 7' },
+  { name: 'center, even length', tiles: 'B3 O1* A1 T1', modifier: mod({ type: 'position', position: 'center', multiplier: 3 }), score: 6, breakdown: 'B(3) + O(1) + A(1) + T(1) = 6' },
+  { name: 'centerAny, even length', tiles: 'B3 O1 A1* T1', modifier: mod({ type: 'position', position: 'centerAny', multiplier: 2 }), score: 7, breakdown: 'B(3) + O(1) + A×2(2) + T(1) = 7' },
+  { name: 'centerAny, Qu across the center', tiles: 'S1 Qu4* A1 T1', modifier: mod({ type: 'position', position: 'centerAny', multiplier: 2 }), score: 11, breakdown: 'S(1) + Qu×2(8) + A(1) + T(1) = 11' },
+  { name: 'centerAny, off center', tiles: 'C3* A1 R1 T1', modifier: mod({ type: 'position', position: 'centerAny', multiplier: 2 }), score: 6, breakdown: 'C(3) + A(1) + R(1) + T(1) = 6' },
+  { name: 'position with a bonus', tiles: 'C3* A1 T1', modifier: mod({ type: 'position', position: 'start', multiplier: 2, bonus: 2 }), score: 10, breakdown: 'C×2(6) + A(1) + T(1) + 2 = 10' },
+
+  // length
+  { name: 'minLength', tiles: 'P3 L1 A1 N1 E1 T1*', modifier: mod({ type: 'length', minLength: 6, bonus: 7 }), score: 15, breakdown: 'P(3) + L(1) + A(1) + N(1) + E(1) + T(1) + 7 = 15' },
+  { name: 'minLength, too short', tiles: 'P3 L1 A1 N1 T1*', modifier: mod({ type: 'length', minLength: 6, bonus: 7 }), score: 7, breakdown: 'P(3) + L(1) + A(1) + N(1) + T(1) = 7' },
+  { name: 'exactLength', tiles: 'C3* A1 R1 T1', modifier: mod({ type: 'length', exactLength: 4, multiplier: 3 }), score: 12, breakdown: 'C×3(9) + A(1) + R(1) + T(1) = 12' },
+  { name: 'exactLength counts Qu as two', tiles: 'Qu4* I1 T1', modifier: mod({ type: 'length', exactLength: 4, multiplier: 3 }), score: 14, breakdown: 'Qu×3(12) + I(1) + T(1) = 14' },
+  { name: 'exactLength with a bonus', tiles: 'P3 L1 A1 N1 T1*', modifier: mod({ type: 'length', exactLength: 5, multiplier: 2, bonus: 3 }), score: 11, breakdown: 'P(3) + L(1) + A(1) + N(1) + T×2(2) + 3 = 11' },
+  { name: 'maxLength', tiles: 'C3* A1 T1', modifier: mod({ type: 'length', maxLength: 3, bonus: 5 }), score: 10, breakdown: 'C(3) + A(1) + T(1) + 5 = 10' },
+  { name: 'maxLength, too long (Qu)', tiles: 'Qu4* I1 T1', modifier: mod({ type: 'length', maxLength: 3, bonus: 5 }), score: 6, breakdown: 'Qu(4) + I(1) + T(1) = 6' },
+
+  // parity
+  { name: 'odd', tiles: 'C3* A1 T1', modifier: mod({ type: 'parity', parity: 'odd', bonus: 4 }), score: 9, breakdown: 'C(3) + A(1) + T(1) + 4 = 9' },
+  { name: 'even, odd word', tiles: 'C3* A1 T1', modifier: mod({ type: 'parity', parity: 'even', bonus: 4 }), score: 5, breakdown: 'C(3) + A(1) + T(1) = 5' },
+  { name: 'even, Qu makes it even', tiles: 'Qu4* I1 T1', modifier: mod({ type: 'parity', parity: 'even', bonus: 4 }), score: 10, breakdown: 'Qu(4) + I(1) + T(1) + 4 = 10' },
+
+  // neighbor
+  { name: 'vowel neighbor', tiles: 'C3 A1 T1*', modifier: mod({ type: 'neighbor', neighborType: 'vowel', multiplier: 2 }), score: 6, breakdown: 'C(3) + A(1) + T×2(2) = 6' },
+  { name: 'no vowel neighbor', tiles: 'S1 T1* R1', modifier: mod({ type: 'neighbor', neighborType: 'vowel', multiplier: 2 }), score: 3, breakdown: 'S(1) + T(1) + R(1) = 3' },
+  { name: 'vowel neighbor at the end of Qu', tiles: 'Qu4 T1*', modifier: mod({ type: 'neighbor', neighborType: 'vowel', multiplier: 2 }), score: 6, breakdown: 'Qu(4) + T×2(2) = 6' },
+
+  // composition
+  { name: 'balanced', tiles: 'B3 O1* A1 T1', modifier: mod({ type: 'composition', compositionType: 'balanced', bonus: 4 }), score: 10, breakdown: 'B(3) + O(1) + A(1) + T(1) + 4 = 10' },
+  { name: 'balanced counts the U in Qu', tiles: 'Qu4* I1 T1', modifier: mod({ type: 'composition', compositionType: 'balanced', bonus: 4 }), score: 10, breakdown: 'Qu(4) + I(1) + T(1) + 4 = 10' },
+  { name: 'vowelRich', tiles: 'A1* R1 E1 A1', modifier: mod({ type: 'composition', compositionType: 'vowelRich', bonus: 6 }), score: 10, breakdown: 'A(1) + R(1) + E(1) + A(1) + 6 = 10' },
+  { name: 'vowelRich, not enough vowels', tiles: 'C3* A1 T1', modifier: mod({ type: 'composition', compositionType: 'vowelRich', bonus: 6 }), score: 5, breakdown: 'C(3) + A(1) + T(1) = 5' },
+  { name: 'vowelCount', tiles: 'A1* R1 E1 A1', modifier: mod({ type: 'composition', compositionType: 'vowelCount', minVowels: 3, bonus: 5 }), score: 9, breakdown: 'A(1) + R(1) + E(1) + A(1) + 5 = 9' },
+  { name: 'consonantCount', tiles: 'C3* A1 R1 T1', modifier: mod({ type: 'composition', compositionType: 'consonantCount', minConsonants: 3, bonus: 5 }), score: 11, breakdown: 'C(3) + A(1) + R(1) + T(1) + 5 = 11' },
+
+  // bonus
+  { name: 'bonus', tiles: 'C3* A1 T1', modifier: mod({ type: 'bonus', bonus: 3 }), score: 8, breakdown: 'C(3) + A(1) + T(1) + 3 = 8' },
+  { name: 'negative bonus', tiles: 'C3* A1 T1', modifier: mod({ type: 'bonus', bonus: -2 }), score: 3, breakdown: 'C(3) + A(1) + T(1) - 2 = 3' },
+
+  // A language's own vowels (options.vowels)
+  { name: 'neighbor with Y as a vowel', tiles: 'S1 Y4 T1*', modifier: mod({ type: 'neighbor', neighborType: 'vowel', multiplier: 2 }), options: { vowels: 'AEIOUY' }, score: 7, breakdown: 'S(1) + Y(4) + T×2(2) = 7' },
+  { name: 'neighbor, Y not a vowel', tiles: 'S1 Y4 T1*', modifier: mod({ type: 'neighbor', neighborType: 'vowel', multiplier: 2 }), score: 6, breakdown: 'S(1) + Y(4) + T(1) = 6' },
+];
+
+test('the golden table covers every modifier type', () => {
+  const covered = new Set(GOLDEN.filter(row => row.modifier).map(row => row.modifier.type));
+  ['multiply', 'position', 'length', 'parity', 'neighbor', 'composition', 'bonus'].forEach(type => {
+    assert.ok(covered.has(type), `no row for ${type}`);
+  });
+});
+
+GOLDEN.forEach(row => {
+  test(`scores ${row.name}`, () => {
+    const sequence = tiles(row.tiles);
+    const result = Scoring.scoreSequence(sequence, row.modifier, row.options);
+    assert.strictEqual(result.score, row.score);
+    assert.strictEqual(result.breakdown, row.breakdown);
+    // The solvers' fast path has to agree with the full score
+    assert.strictEqual(Scoring.computeScore(sequence, row.modifier, row.options), row.score);
+  });
+});
+
+test('an empty word scores nothing', () => {
+  assert.strictEqual(Scoring.scoreSequence([], null).score, 0);
+  assert.strictEqual(Scoring.computeScore([], null), 0);
+});